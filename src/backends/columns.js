@@ -0,0 +1,18 @@
+// src/backends/columns.js
+// Column helpers shared by the logging backends: where the Event / Message ID
+// columns sit on the main tab (what findRow matches on) and its Notes column
+// (what a REVERSAL row reverses), and snake_case keys
+// for a layout's headers ("Gain/Loss" -> gain_loss) used as JSONL keys and
+// SQLite column names.
+
+const EVENT_COL = 1;       // B
+const MESSAGE_ID_COL = 16; // Q
+const NOTES_COL = 17;      // R
+
+function columnKeys(layout) {
+  return layout.headers.map((header) =>
+    header.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")
+  );
+}
+
+module.exports = { EVENT_COL, MESSAGE_ID_COL, NOTES_COL, columnKeys };
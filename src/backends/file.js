@@ -0,0 +1,174 @@
+// src/backends/file.js
+// Local file logging backends, no credentials needed:
+//   csv   -> $LOG_DIR/<spreadsheet id>/<tab>.csv   (header row, opens in any spreadsheet app)
+//   jsonl -> $LOG_DIR/<spreadsheet id>/<tab>.jsonl (one object per row, keyed by column)
+// ----------------------------------------------------
+// Rows are appended; findRow / updateRow (bet edits and deletions) read the
+// whole file and rewrite it atomically (tmp file + rename), which is fine at
+// the size a tab gets. Row numbers match the sheet's: the header is row 1 and
+// the first logged row is row 2 (JSONL has no header line but numbers the same).
+
+const fs = require("fs");
+const path = require("path");
+const { EVENT_COL, MESSAGE_ID_COL, columnKeys } = require("./columns.js");
+
+// Spreadsheet ids / tab names as file names (tab names are already free of
+// / \ : etc., but config can't be trusted with the file system)
+function safeName(text) {
+  return String(text).replace(/[^\w .()-]/g, "_").trim() || "_";
+}
+
+function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+// ---------- CSV ----------
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\n`;
+}
+
+// RFC 4180: quoted cells may contain commas, quotes ("") and newlines (bet text does)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n") {
+      row.push(cell.replace(/\r$/, ""));
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+const CSV = {
+  ext: "csv",
+  header: (layout) => csvLine(layout.headers),
+  line: (values) => csvLine(values),
+  // rows as value arrays, header row first
+  read: (text) => parseCsv(text),
+  write: (rows) => rows.map(csvLine).join(""),
+};
+
+// ---------- JSONL ----------
+
+function toObject(values, layout) {
+  return Object.fromEntries(columnKeys(layout).map((key, i) => [key, values[i] ?? ""]));
+}
+
+const JSONL = {
+  ext: "jsonl",
+  header: () => "",
+  line: (values, layout) => `${JSON.stringify(toObject(values, layout))}\n`,
+  // The headers stand in for the missing header line, so row numbers line up with CSV
+  read: (text, layout) => [
+    layout.headers,
+    ...text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        const obj = JSON.parse(line);
+        return columnKeys(layout).map((key) => obj[key] ?? "");
+      }),
+  ],
+  write: (rows, layout) => rows.slice(1).map((values) => JSONL.line(values, layout)).join(""),
+};
+
+// ---------- Backend ----------
+
+function createFileBackend(name, dir) {
+  const format = name === "csv" ? CSV : JSONL;
+  const checked = new Set(); // files whose header has been checked against the layout
+
+  function fileFor(spreadsheetId, tab) {
+    return path.join(dir, safeName(spreadsheetId || "default"), `${safeName(tab)}.${format.ext}`);
+  }
+
+  // All rows, header first (null if the tab doesn't exist yet)
+  function readFile(file, layout) {
+    if (!fs.existsSync(file)) return null;
+    return format.read(fs.readFileSync(file, "utf8"), layout);
+  }
+
+  // A CSV started before a column was added to the layout gets the new header
+  // (its older rows are just shorter)
+  function upgradeHeader(file, layout) {
+    const rows = readFile(file, layout);
+    if (!rows?.length || rows[0].length >= layout.headers.length) return;
+    rows[0] = layout.headers;
+    writeAtomic(file, format.write(rows, layout));
+  }
+
+  async function ensureTabs(spreadsheetId, tab, layout) {
+    const file = fileFor(spreadsheetId, tab);
+    if (fs.existsSync(file)) {
+      if (!checked.has(file)) upgradeHeader(file, layout);
+      checked.add(file);
+      return true;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeAtomic(file, format.header(layout));
+    return true;
+  }
+
+  async function appendRow(spreadsheetId, tab, values, layout) {
+    await ensureTabs(spreadsheetId, tab, layout);
+    fs.appendFileSync(fileFor(spreadsheetId, tab), format.line(values, layout));
+  }
+
+  async function readRows(spreadsheetId, tab, layout) {
+    return (readFile(fileFor(spreadsheetId, tab), layout) || []).slice(1);
+  }
+
+  async function findRow(spreadsheetId, tab, messageId, event, layout) {
+    if (!messageId) return null;
+    const rows = readFile(fileFor(spreadsheetId, tab), layout) || [];
+    for (let i = rows.length - 1; i >= 1; i--) {
+      if (rows[i][EVENT_COL] === event && String(rows[i][MESSAGE_ID_COL]) === messageId) {
+        return { rowNumber: i + 1, values: rows[i] };
+      }
+    }
+    return null;
+  }
+
+  async function updateRow(spreadsheetId, tab, rowNumber, values, layout) {
+    const file = fileFor(spreadsheetId, tab);
+    const rows = readFile(file, layout);
+    if (!rows || rowNumber < 2 || rowNumber > rows.length) return;
+    rows[rowNumber - 1] = values;
+    writeAtomic(file, format.write(rows, layout));
+  }
+
+  return { name, ensureTabs, appendRow, readRows, findRow, updateRow };
+}
+
+module.exports = { createFileBackend };
@@ -0,0 +1,81 @@
+// src/backends/index.js
+// Logging backends behind logging.js. Every row logging.js builds goes to each
+// configured backend, so the sheet, local files and SQLite all hold the same rows.
+// ----------------------------------------------------
+// Env vars:
+//   LOG_BACKENDS   comma-separated: sheets, csv, jsonl, sqlite
+//                  (default: "sheets" with Google credentials set, else "jsonl")
+//   LOG_DIR        where the local backends write (default "$DATA_DIR/logs")
+//
+// A backend is { name, ensureTabs, appendRow, readRows, findRow, updateRow }, all async:
+//   ensureTabs(spreadsheetId, tab, layout)                 -> true if the tab is ready
+//   appendRow(spreadsheetId, tab, values, layout)
+//   readRows(spreadsheetId, tab, layout)                   -> rows under the header
+//   findRow(spreadsheetId, tab, messageId, event, layout)  -> { rowNumber, values } | null
+//   updateRow(spreadsheetId, tab, rowNumber, values, layout)
+// and optionally:
+//   appendRows([{ spreadsheetId, tab, values, layout }])  -> several appends in bulk
+//   metrics()                                              -> API usage, for /logging status
+// `layout` is one of logging.js's tab layouts (headers, table name, ...).
+// Writes throw on failure; the outbox (outbox.js) queues them per backend and
+// retries, so one backend failing never holds up the others. Row numbers are
+// the backend's own, so find + update always go to one backend at a time.
+
+const path = require("path");
+const sheets = require("./sheets.js");
+const { createFileBackend } = require("./file.js");
+const { createSqliteBackend } = require("./sqlite.js");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const LOG_DIR = process.env.LOG_DIR || path.join(DATA_DIR, "logs");
+const SQLITE_FILE = process.env.LOG_SQLITE_FILE || path.join(LOG_DIR, "logs.sqlite");
+
+const FACTORIES = {
+  sheets: () => sheets,
+  csv: () => createFileBackend("csv", LOG_DIR),
+  jsonl: () => createFileBackend("jsonl", LOG_DIR),
+  sqlite: () => createSqliteBackend(SQLITE_FILE),
+};
+
+let backends = null;
+
+function configuredNames() {
+  const raw = process.env.LOG_BACKENDS;
+  if (!raw) return [sheets.isConfigured() ? "sheets" : "jsonl"];
+  return [...new Set(raw.split(",").map((n) => n.trim().toLowerCase()).filter(Boolean))];
+}
+
+function getBackends() {
+  if (backends) return backends;
+  backends = [];
+  for (const name of configuredNames()) {
+    if (FACTORIES[name]) backends.push(FACTORIES[name]());
+    else console.warn(`[logging] unknown backend "${name}" in LOG_BACKENDS; skipped.`);
+  }
+  console.log(`[logging] backends: ${backends.map((b) => b.name).join(", ") || "none"}`);
+  return backends;
+}
+
+// Run `fn(backend)` on every backend -> results (undefined where it threw)
+async function forEachBackend(label, fn) {
+  return Promise.all(
+    getBackends().map(async (backend) => {
+      try {
+        return await fn(backend);
+      } catch (e) {
+        console.warn(`[logging] ${backend.name} ${label} failed:`, e?.message || e);
+        return undefined;
+      }
+    })
+  );
+}
+
+// True if any backend has the tab ready
+async function ensureTabs(spreadsheetId, tab, layout) {
+  const results = await forEachBackend("ensureTabs", (b) =>
+    b.ensureTabs(spreadsheetId, tab, layout)
+  );
+  return results.some(Boolean);
+}
+
+module.exports = { getBackends, ensureTabs };
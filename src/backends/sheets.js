@@ -0,0 +1,338 @@
+// src/backends/sheets.js
+// Google Sheets logging backend: one spreadsheet tab per logging.js tab, with a
+// formatted header row. Rows are numbered as in the sheet (header = row 1).
+// ----------------------------------------------------
+// Quota: a tab is checked / created / formatted once per run and then cached
+// (dropped again when a call on it fails, so the next write re-validates it),
+// and rows the outbox hands over together go out in one call per spreadsheet:
+// values.append for a single tab, batchUpdate appendCells across tabs.
+// metrics() counts the API calls made against what checking the tab before
+// every write and appending row by row would have cost.
+//
+// Env vars (set later on Railway):
+//   GOOGLE_SERVICE_ACCOUNT_EMAIL
+//   GOOGLE_PRIVATE_KEY           (supports literal newlines or \n-escaped)
+// Without them writes fail (isConfigured() is false) and wait in the outbox.
+
+const { google } = require("googleapis");
+const { EVENT_COL, MESSAGE_ID_COL } = require("./columns.js");
+
+// ---------- Config ----------
+const SERVICE_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || "";
+const RAW_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY || "";
+
+// A1 range on a tab; quoted because per-guild tab names contain spaces
+function a1(tab, cells) {
+  return `'${tab.replace(/'/g, "''")}'!${cells}`;
+}
+
+// Normalize \n in private key if necessary
+const PRIVATE_KEY = RAW_PRIVATE_KEY.includes("\\n")
+  ? RAW_PRIVATE_KEY.replace(/\\n/g, "\n")
+  : RAW_PRIVATE_KEY;
+
+// Calls the uncached code made per write: spreadsheets.get, header values.update,
+// styling batchUpdate before every append / read
+const TAB_CHECK_CALLS = 3;
+
+// ---------- State ----------
+let sheets = null;
+let warned = false;
+
+// "<spreadsheetId>|<tab>" -> sheetId for tabs already checked this run
+const readyTabs = new Map();
+
+const metrics = { calls: 0, baseline: 0, rows: 0, batches: 0 };
+
+// Count an API call
+function api(request) {
+  metrics.calls += 1;
+  return request;
+}
+
+// ---------- Helpers ----------
+function haveCreds() {
+  return !!(SERVICE_EMAIL && PRIVATE_KEY);
+}
+
+async function getSheets() {
+  if (sheets) return sheets;
+  if (!haveCreds()) {
+    if (!warned) {
+      console.warn("[logging] Missing Google Sheets env vars; sheet rows wait in the outbox.");
+    }
+    warned = true;
+    return null;
+  }
+  const auth = new google.auth.JWT({
+    email: SERVICE_EMAIL,
+    key: PRIVATE_KEY,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+  sheets = google.sheets({ version: "v4", auth });
+  return sheets;
+}
+
+// Writes can't just be skipped without credentials: the outbox keeps the row
+// (and shows the error in /logging status) until they're set
+async function requireSheets() {
+  const client = await getSheets();
+  if (!client) throw new Error("Google Sheets credentials are not set");
+  return client;
+}
+
+// Ensure the tab exists and is formatted nicely (header row, currency columns, widths)
+// (We no longer auto-create / init an "Individual" tab.) Cached once it has been.
+async function ensureTabs(spreadsheetId, tab, layout) {
+  const client = await getSheets();
+  if (!client || !spreadsheetId) return false;
+  if (readyTabs.has(`${spreadsheetId}|${tab}`)) return true;
+
+  // 1) Get current meta
+  let meta = await api(client.spreadsheets.get({ spreadsheetId }));
+  let titles = new Set((meta.data.sheets || []).map(s => s.properties?.title));
+
+  const requests = [];
+
+  // Helper to add a sheet with frozen header
+  function addSheetReq(title) {
+    return {
+      addSheet: {
+        properties: {
+          title,
+          gridProperties: { frozenRowCount: 1 },
+        },
+      },
+    };
+  }
+
+  // Create the tab if missing
+  if (!titles.has(tab)) {
+    requests.push(addSheetReq(tab));
+  }
+
+  // 2) If we created any, apply them
+  if (requests.length) {
+    await api(client.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests },
+    }));
+    // 3) IMPORTANT: re-fetch meta so we have fresh sheetIds
+    meta = await api(client.spreadsheets.get({ spreadsheetId }));
+    titles = new Set((meta.data.sheets || []).map(s => s.properties?.title));
+  }
+
+  const getSheetIdByTitle = (title) =>
+    (meta.data.sheets || []).find(s => s.properties?.title === title)?.properties?.sheetId;
+
+  // Write headers (idempotent via update)
+  const headers = [layout.headers];
+
+  async function initTab(title) {
+    // Header row
+    await api(client.spreadsheets.values.update({
+      spreadsheetId,
+      range: a1(title, `A1:${layout.lastCol}1`),
+      valueInputOption: "RAW",
+      requestBody: { values: headers },
+    }));
+
+    // Styling & widths should never block appending; make best-effort only
+    try {
+      const sheetId = getSheetIdByTitle(title);
+      if (sheetId == null) return;
+
+      await api(client.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: [
+            // Bold header
+            {
+              repeatCell: {
+                range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+                cell: { userEnteredFormat: { textFormat: { bold: true } } },
+                fields: "userEnteredFormat.textFormat.bold",
+              },
+            },
+            // Currency formats (H..K on the main tab)
+            ...layout.currency.map((col) => ({
+              repeatCell: {
+                range: {
+                  sheetId,
+                  startRowIndex: 1,
+                  startColumnIndex: col.charCodeAt(0) - 65,
+                  endColumnIndex: col.charCodeAt(0) - 65 + 1,
+                },
+                cell: {
+                  userEnteredFormat: {
+                    numberFormat: { type: "CURRENCY", pattern: "$#,##0.00" },
+                  },
+                },
+                fields: "userEnteredFormat.numberFormat",
+              },
+            })),
+            // Column widths
+            ...layout.widths.map(([col, px]) => ({
+              updateDimensionProperties: {
+                range: {
+                  sheetId,
+                  dimension: "COLUMNS",
+                  startIndex: col.charCodeAt(0) - 65,
+                  endIndex: col.charCodeAt(0) - 65 + 1,
+                },
+                properties: { pixelSize: px },
+                fields: "pixelSize",
+              },
+            })),
+          ],
+        },
+      }));
+    } catch (e) {
+      console.warn("[logging] styling skipped:", e?.message || e);
+    }
+  }
+
+  // Only initialize this tab; Individual (if it exists) is left untouched.
+  await initTab(tab);
+
+  readyTabs.set(`${spreadsheetId}|${tab}`, getSheetIdByTitle(tab));
+  return true;
+}
+
+// Run `fn` against checked tabs (Map tab -> layout); if it fails they're checked
+// again next time (a tab may have been deleted or renamed)
+async function onTabs(spreadsheetId, tabs, fn) {
+  for (const [tab, layout] of tabs) await ensureTabs(spreadsheetId, tab, layout);
+  try {
+    return await fn();
+  } catch (e) {
+    for (const tab of tabs.keys()) readyTabs.delete(`${spreadsheetId}|${tab}`);
+    throw e;
+  }
+}
+
+// Append one row to a tab. Errors are thrown: the outbox (outbox.js) retries.
+async function appendRow(spreadsheetId, tab, values, layout) {
+  await appendRows([{ spreadsheetId, tab, values, layout }]);
+}
+
+// RAW cell for appendCells: numbers stay numbers, everything else is text
+function cell(value) {
+  if (value === "" || value == null) return {};
+  if (typeof value === "number") return { userEnteredValue: { numberValue: value } };
+  return { userEnteredValue: { stringValue: String(value) } };
+}
+
+// Append rows ([{ spreadsheetId, tab, values, layout }], in order) with one call
+// per spreadsheet
+async function appendRows(rows) {
+  const bySpreadsheet = new Map();
+  for (const row of rows) {
+    if (!row.spreadsheetId) continue;
+    if (!bySpreadsheet.has(row.spreadsheetId)) bySpreadsheet.set(row.spreadsheetId, []);
+    bySpreadsheet.get(row.spreadsheetId).push(row);
+  }
+  if (!bySpreadsheet.size) return;
+  const client = await requireSheets();
+
+  for (const [spreadsheetId, list] of bySpreadsheet) {
+    const tabs = new Map(list.map((r) => [r.tab, r.layout]));
+    metrics.baseline += list.length * (TAB_CHECK_CALLS + 1);
+    metrics.rows += list.length;
+    metrics.batches += 1;
+
+    await onTabs(spreadsheetId, tabs, async () => {
+      if (tabs.size === 1) {
+        const [[tab, layout]] = tabs;
+        await api(client.spreadsheets.values.append({
+          spreadsheetId,
+          range: a1(tab, `A:${layout.lastCol}`),
+          valueInputOption: "RAW",
+          insertDataOption: "INSERT_ROWS",
+          requestBody: { values: list.map((r) => r.values) },
+        }));
+        return;
+      }
+
+      const requests = [...tabs.keys()].map((tab) => ({
+        appendCells: {
+          sheetId: readyTabs.get(`${spreadsheetId}|${tab}`),
+          fields: "userEnteredValue",
+          rows: list.filter((r) => r.tab === tab).map((r) => ({ values: r.values.map(cell) })),
+        },
+      }));
+      await api(client.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } }));
+    });
+  }
+}
+
+// Every row under the header, as written
+async function readRows(spreadsheetId, tab, layout) {
+  if (!spreadsheetId) return [];
+  const client = await requireSheets();
+  metrics.baseline += TAB_CHECK_CALLS + 1;
+
+  const res = await onTabs(spreadsheetId, new Map([[tab, layout]]), () =>
+    api(client.spreadsheets.values.get({
+      spreadsheetId,
+      range: a1(tab, `A2:${layout.lastCol}`),
+      valueRenderOption: "UNFORMATTED_VALUE",
+    }))
+  );
+  return res.data.values || [];
+}
+
+// Find the sheet row number (1-based) of the `event` row for a message, or null
+async function findRow(spreadsheetId, tab, messageId, event, layout) {
+  if (!spreadsheetId || !messageId) return null;
+  const client = await requireSheets();
+  metrics.baseline += TAB_CHECK_CALLS + 1;
+
+  const res = await onTabs(spreadsheetId, new Map([[tab, layout]]), () =>
+    api(client.spreadsheets.values.get({
+      spreadsheetId,
+      range: a1(tab, `A:${layout.lastCol}`),
+      valueRenderOption: "UNFORMATTED_VALUE",
+    }))
+  );
+  const rows = res.data.values || [];
+  for (let i = rows.length - 1; i >= 1; i--) {
+    if (rows[i][EVENT_COL] === event && rows[i][MESSAGE_ID_COL] === messageId) {
+      return { rowNumber: i + 1, values: rows[i] };
+    }
+  }
+  return null;
+}
+
+// Overwrite one existing row in place
+async function updateRow(spreadsheetId, tab, rowNumber, values, layout) {
+  if (!spreadsheetId) return;
+  const client = await requireSheets();
+  metrics.baseline += 1;
+
+  await onTabs(spreadsheetId, new Map([[tab, layout]]), () =>
+    api(client.spreadsheets.values.update({
+      spreadsheetId,
+      range: a1(tab, `A${rowNumber}:${layout.lastCol}${rowNumber}`),
+      valueInputOption: "RAW",
+      requestBody: { values: [values] },
+    }))
+  );
+}
+
+// API calls made / what the uncached, row-by-row code would have made
+function getMetrics() {
+  return { ...metrics, saved: Math.max(0, metrics.baseline - metrics.calls) };
+}
+
+module.exports = {
+  name: "sheets",
+  isConfigured: haveCreds,
+  ensureTabs,
+  appendRow,
+  appendRows,
+  readRows,
+  findRow,
+  updateRow,
+  metrics: getMetrics,
+};
@@ -0,0 +1,116 @@
+// src/backends/sqlite.js
+// SQLite logging backend: one table per layout (logging.js `table`: "bets",
+// "legs"), columns named after the headers (columns.js), plus `spreadsheet` /
+// `tab` columns so every guild's tab shares the table. Row numbers are rowids.
+// Columns added to a layout later are added to its table on first use.
+// ----------------------------------------------------
+// Env vars:
+//   LOG_SQLITE_FILE (default "$LOG_DIR/logs.sqlite")
+//
+// Needs the optional better-sqlite3 dependency; without it writes fail (and
+// wait in the outbox). Blank cells are stored as NULL.
+
+const fs = require("fs");
+const path = require("path");
+const { EVENT_COL, MESSAGE_ID_COL, columnKeys } = require("./columns.js");
+
+function createSqliteBackend(file) {
+  let db; // undefined until first use, null if it can't be opened
+  let openError = null;
+  const ready = new Set(); // tables created
+
+  function open() {
+    if (db !== undefined) return db;
+    try {
+      const Database = require("better-sqlite3");
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma("journal_mode = WAL");
+    } catch (e) {
+      console.warn("[logging] sqlite backend unavailable:", e?.message || e);
+      openError = e;
+      db = null;
+    }
+    return db;
+  }
+
+  function requireDb() {
+    if (!open()) throw new Error(`SQLite unavailable: ${openError?.message || openError}`);
+    return db;
+  }
+
+  const quote = (name) => `"${name}"`;
+  const toCell = (value) => (value === "" || value == null ? null : value);
+  const fromCell = (value) => (value == null ? "" : value);
+
+  function table(layout) {
+    const name = layout.table;
+    if (!ready.has(name)) {
+      const columns = columnKeys(layout).map(quote).join(", ");
+      db.exec(
+        `CREATE TABLE IF NOT EXISTS ${quote(name)} ` +
+          `(row_id INTEGER PRIMARY KEY, spreadsheet TEXT, tab TEXT, ${columns});` +
+          `CREATE INDEX IF NOT EXISTS ${quote(`${name}_tab`)} ON ${quote(name)} (spreadsheet, tab);`
+      );
+      // Columns added to the layout since the table was created
+      const info = db.prepare(`PRAGMA table_info(${quote(name)})`).all();
+      const have = new Set(info.map((column) => column.name));
+      for (const key of columnKeys(layout).filter((k) => !have.has(k))) {
+        db.exec(`ALTER TABLE ${quote(name)} ADD COLUMN ${quote(key)}`);
+      }
+      ready.add(name);
+    }
+    return quote(name);
+  }
+
+  async function ensureTabs(spreadsheetId, tab, layout) {
+    if (!open()) return false;
+    table(layout);
+    return true;
+  }
+
+  async function appendRow(spreadsheetId, tab, values, layout) {
+    const keys = columnKeys(layout);
+    requireDb().prepare(
+      `INSERT INTO ${table(layout)} (spreadsheet, tab, ${keys.map(quote).join(", ")}) ` +
+        `VALUES (${["?", "?", ...keys.map(() => "?")].join(", ")})`
+    ).run(spreadsheetId || "", tab, ...keys.map((_, i) => toCell(values[i])));
+  }
+
+  async function readRows(spreadsheetId, tab, layout) {
+    const keys = columnKeys(layout);
+    return requireDb()
+      .prepare(
+        `SELECT ${keys.map(quote).join(", ")} FROM ${table(layout)} ` +
+          `WHERE spreadsheet = ? AND tab = ? ORDER BY row_id`
+      )
+      .all(spreadsheetId || "", tab)
+      .map((row) => keys.map((key) => fromCell(row[key])));
+  }
+
+  async function findRow(spreadsheetId, tab, messageId, event, layout) {
+    if (!messageId) return null;
+    const keys = columnKeys(layout);
+    const row = requireDb()
+      .prepare(
+        `SELECT row_id, ${keys.map(quote).join(", ")} FROM ${table(layout)} ` +
+          `WHERE spreadsheet = ? AND tab = ? AND ${quote(keys[EVENT_COL])} = ? ` +
+          `AND ${quote(keys[MESSAGE_ID_COL])} = ? ORDER BY row_id DESC LIMIT 1`
+      )
+      .get(spreadsheetId || "", tab, event, messageId);
+    if (!row) return null;
+    return { rowNumber: row.row_id, values: keys.map((key) => fromCell(row[key])) };
+  }
+
+  async function updateRow(spreadsheetId, tab, rowNumber, values, layout) {
+    const keys = columnKeys(layout);
+    requireDb().prepare(
+      `UPDATE ${table(layout)} SET ${keys.map((key) => `${quote(key)} = ?`).join(", ")} ` +
+        `WHERE row_id = ?`
+    ).run(...keys.map((_, i) => toCell(values[i])), rowNumber);
+  }
+
+  return { name: "sqlite", ensureTabs, appendRow, readRows, findRow, updateRow };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,302 @@
+// src/backfill.js
+// Rebuild the bet log from channel history (/backfill): walk the input channel
+// between two dates, work out what happened to each bet from its reactions and
+// $amount replies, and append the rows the log is missing (events that
+// happened while the bot was offline never reached it).
+// ----------------------------------------------------
+// What a bet message shows -> events:
+//   the bet itself                            BET_PLACED
+//   `$5 of $10` replies                       PARTIAL_CASH_OUT, one each
+//   ✅ / ❌ reaction                           SUCCESS / FAILURE
+//   `$amount` reply (no ✅ / ❌)               CASH_OUT, VOID for $0
+// Each backend's rows are matched by Message ID: an event counts once per row,
+// less the REVERSAL rows that undo it. Events a backend is short of are
+// appended to that backend only. Where a backend has rows the message no
+// longer backs up (a SUCCESS row while it shows ❌), the bet is reported and
+// left alone on that backend. Bets and replies are taken from history as it
+// is now, so deleted ones are skipped.
+// Parlay legs (the Legs tab) and the member ledger are not touched.
+
+const { getEmojis } = require('./guildConfig.js');
+const { parseDollarOnlyMessage, parsePartialCashOut, parseBetMessage } = require('./betText.js');
+const { parseBetText, parlayReturns } = require('./betParser.js');
+const { getBet, getLegResults } = require('./bets.js');
+const { getBetAuthor } = require('./settlement.js');
+const { backfillRow, loggedRows, appendBackfillRow } = require('./logging.js');
+const { EVENT_COL, MESSAGE_ID_COL, NOTES_COL } = require('./backends/columns.js');
+
+const PAGE_SIZE = 100; // Discord's max per fetch
+
+// Stop paging after this many messages (the report says so)
+const MAX_MESSAGES = Number(process.env.BACKFILL_MAX_MESSAGES) || 10000;
+// How long after `to` to look for `$amount` replies settling bets in the range
+const REPLY_WINDOW_MS = (Number(process.env.BACKFILL_REPLY_DAYS) || 14) * 24 * 3600 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ---------- History ----------
+
+// The first snowflake (message id) of millisecond `ms`
+function snowflakeAt(ms) {
+  return (BigInt(ms) - 1420070400000n) << 22n;
+}
+
+function oldestOf(page) {
+  return [...page.values()].reduce((a, b) => (a.createdTimestamp < b.createdTimestamp ? a : b));
+}
+
+function newestOf(page) {
+  return [...page.values()].reduce((a, b) => (a.createdTimestamp > b.createdTimestamp ? a : b));
+}
+
+// Input channel messages from `from` to `to`, paging back from `to`, plus the
+// replies posted up to REPLY_WINDOW_MS after it (they can settle a bet in the
+// range), oldest first. Each part stops at MAX_MESSAGES ->
+//   { messages, truncated, readFrom, repliesUntil }
+// truncated: the range wasn't read in full, only back to `readFrom`;
+// repliesUntil: how far after `to` replies were read when that stopped short.
+async function fetchHistory(channel, from, to) {
+  const end = to.getTime() + 1;
+  const inRange = [];
+  let before = String(snowflakeAt(end));
+  let truncated = true;
+  while (inRange.length < MAX_MESSAGES) {
+    const page = await channel.messages.fetch({ limit: PAGE_SIZE, before });
+    for (const msg of page.values()) {
+      if (msg.createdTimestamp >= from.getTime()) inRange.push(msg);
+    }
+    if (page.size < PAGE_SIZE || oldestOf(page).createdTimestamp < from.getTime()) {
+      truncated = false;
+      break;
+    }
+    before = oldestOf(page).id;
+  }
+
+  const replies = [];
+  const replyEnd = Math.min(end + REPLY_WINDOW_MS, Date.now());
+  let after = String(snowflakeAt(end) - 1n);
+  let read = 0;
+  let repliesUntil = null;
+  while (end < replyEnd) {
+    const page = await channel.messages.fetch({ limit: PAGE_SIZE, after });
+    read += page.size;
+    for (const msg of page.values()) {
+      if (msg.reference && msg.createdTimestamp < replyEnd) replies.push(msg);
+    }
+    if (page.size < PAGE_SIZE || newestOf(page).createdTimestamp >= replyEnd) break;
+    if (read >= MAX_MESSAGES) {
+      repliesUntil = new Date(newestOf(page).createdTimestamp);
+      break;
+    }
+    after = newestOf(page).id;
+  }
+
+  return {
+    messages: sortOldestFirst([...inRange, ...replies]),
+    truncated,
+    readFrom: truncated ? new Date(Math.min(...inRange.map((m) => m.createdTimestamp))) : from,
+    repliesUntil,
+  };
+}
+
+function sortOldestFirst(messages) {
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+// Bets the way the live handlers pick them up: parseable, and not posted by a
+// bot unless it was /bet place
+function isBetMessage(msg) {
+  if (msg.author?.bot && !getBet(msg.id)) return false;
+  return parseBetMessage(msg).ok;
+}
+
+// ---------- Inference ----------
+
+function hasReaction(msg, emoji) {
+  return msg.reactions.cache.find((r) => r.emoji.name === emoji)?.count > 0;
+}
+
+// What the message shows happened -> { events: [{ event, cashout?, gainLoss?,
+// stake?, returns? }], problem? } (problem: it can't be read either way)
+function inferEvents(msg, replies) {
+  const emojis = getEmojis(msg.guildId);
+  const parsed = parseBetText(msg.content ?? '');
+  const events = [{ event: 'BET_PLACED' }];
+
+  const won = hasReaction(msg, emojis.success);
+  const lost = hasReaction(msg, emojis.fail);
+  if (won && lost) return { events, problem: `shows both ${emojis.success} and ${emojis.fail}` };
+
+  let running = parsed?.stake ?? null;
+  let closing = null;
+  for (const reply of replies) {
+    const partial = parsePartialCashOut(reply.content ?? '');
+    if (partial && partial.amount < partial.offer) {
+      if (!running) continue;
+      const stake = round2((running * partial.amount) / partial.offer);
+      events.push({
+        event: 'PARTIAL_CASH_OUT',
+        cashout: partial.amount,
+        gainLoss: partial.amount - stake,
+        stake,
+      });
+      running = round2(running - stake);
+      continue;
+    }
+    const amount = partial ? partial.amount : parseDollarOnlyMessage(reply.content ?? '');
+    if (amount != null) {
+      closing = amount;
+      break;
+    }
+  }
+
+  const reduced = parsed && running < parsed.stake ? running : undefined;
+  if ((won || lost) && closing == null) {
+    const returns = parsed
+      ? (parlayReturns(parsed, getLegResults(msg.id)) * running) / parsed.stake
+      : undefined;
+    events.push(
+      won ? { event: 'SUCCESS', stake: reduced, returns } : { event: 'FAILURE', stake: reduced }
+    );
+    return { events };
+  }
+  // A cash-out reply and a ✅/❌ with no 🟡/⚫ marker: no telling which came first
+  const marked = hasReaction(msg, emojis.cashOut) || hasReaction(msg, emojis.void);
+  if ((won || lost) && !marked) {
+    const reaction = won ? emojis.success : emojis.fail;
+    return { events, problem: `has a $${closing} reply and a ${reaction}` };
+  }
+
+  if (closing === 0) events.push({ event: 'VOID', cashout: 0, gainLoss: 0 });
+  else if (closing != null) {
+    events.push({
+      event: 'CASH_OUT',
+      cashout: closing,
+      gainLoss: running != null ? closing - running : null,
+      stake: reduced,
+    });
+  }
+  return { events };
+}
+
+// ---------- Diff ----------
+
+// Rows per Message ID -> Map(id -> { counts: { event: net rows }, raw: { event: rows } })
+function loggedEvents(rows) {
+  const byMessage = new Map();
+  for (const row of rows) {
+    const id = String(row[MESSAGE_ID_COL] ?? '');
+    if (!id) continue;
+    if (!byMessage.has(id)) byMessage.set(id, { counts: {}, raw: {} });
+    const { counts, raw } = byMessage.get(id);
+
+    const event = row[EVENT_COL];
+    raw[event] = (raw[event] || 0) + 1;
+    const reversed = event === 'REVERSAL' && String(row[NOTES_COL] ?? '').match(/^Reverses (\w+)/);
+    if (reversed) counts[reversed[1]] = (counts[reversed[1]] || 0) - 1;
+    else counts[event] = (counts[event] || 0) + 1;
+  }
+  return byMessage;
+}
+
+// Events tracked per bet (EDIT, EXPIRED etc. are left out of the comparison)
+const COMPARED = ['BET_PLACED', 'PARTIAL_CASH_OUT', 'SUCCESS', 'FAILURE', 'CASH_OUT', 'VOID'];
+
+// ---------- Backfill ----------
+
+// Reconcile the bets posted in `channel` (the input channel) between `from`
+// and `to` against the log. With
+// `dryRun` nothing is written. -> {
+//   scanned, bets, truncated, readFrom, repliesUntil (see fetchHistory),
+//   missing:   [{ message, event, backends }]   (appended unless dryRun)
+//   conflicts: [{ message, text }]              (reported only)
+//   unreadable: [backend names]
+// }
+async function backfill(channel, { from, to, dryRun = false }) {
+  const { messages, truncated, readFrom, repliesUntil } = await fetchHistory(channel, from, to);
+
+  const replies = new Map(); // bet id -> its $amount replies, oldest first
+  for (const msg of messages) {
+    const betId = msg.reference?.messageId;
+    if (!betId || msg.author?.bot) continue;
+    const content = msg.content ?? '';
+    if (parseDollarOnlyMessage(content) == null && !parsePartialCashOut(content)) continue;
+    if (!replies.has(betId)) replies.set(betId, []);
+    replies.get(betId).push(msg);
+  }
+
+  const bets = messages.filter(
+    (msg) => msg.createdTimestamp <= to.getTime() && !msg.reference && isBetMessage(msg)
+  );
+
+  const report = {
+    scanned: messages.length,
+    bets: bets.length,
+    truncated,
+    readFrom,
+    repliesUntil,
+    missing: [],
+    conflicts: [],
+  };
+  const unreadable = new Set();
+  const tabs = new Map(); // "<spreadsheet>|<tab>" -> Map(backend -> loggedEvents)
+
+  for (const msg of bets) {
+    const { events, problem } = inferEvents(msg, replies.get(msg.id) || []);
+    if (problem) report.conflicts.push({ message: msg, text: problem });
+
+    const author = await getBetAuthor(msg);
+    const rows = events.map((e) => ({ ...e, row: backfillRow({ message: msg, author, ...e }) }));
+    const { spreadsheetId, tab } = rows[0].row;
+
+    const tabKey = `${spreadsheetId}|${tab}`;
+    if (!tabs.has(tabKey)) {
+      const logged = new Map();
+      for (const [name, tabRows] of await loggedRows(spreadsheetId, tab)) {
+        if (tabRows) logged.set(name, loggedEvents(tabRows));
+        else unreadable.add(name);
+      }
+      tabs.set(tabKey, logged);
+    }
+
+    const missing = new Map(); // index into rows -> backends
+    for (const [name, byMessage] of tabs.get(tabKey)) {
+      const { counts = {}, raw = {} } = byMessage.get(msg.id) || {};
+      const short = []; // [row, rows with its key already there]
+      const extra = [];
+      for (const event of COMPARED) {
+        const wanted = rows.filter((r) => r.event === event);
+        const have = Math.max(counts[event] || 0, 0);
+        if (have > wanted.length) extra.push(`${have - wanted.length} ${event}`);
+        // The latest ones are the ones missing
+        wanted.slice(have).forEach((r, i) => short.push([r, (raw[event] || 0) + i]));
+      }
+
+      // The log and the message disagree: leave the bet to a human on this backend
+      if (extra.length) {
+        const lacks = short.length ? `, lacks ${short.map(([r]) => r.event).join(', ')}` : '';
+        report.conflicts.push({
+          message: msg,
+          text: `${name} has ${extra.join(', ')} the message doesn't show${lacks}`,
+        });
+        continue;
+      }
+
+      for (const [r, existing] of short) {
+        const index = rows.indexOf(r);
+        if (!missing.has(index)) missing.set(index, []);
+        missing.get(index).push(name);
+        if (!dryRun) appendBackfillRow(r.row, name, existing);
+      }
+    }
+
+    for (const [index, names] of [...missing].sort((a, b) => a[0] - b[0])) {
+      report.missing.push({ message: msg, event: rows[index].event, backends: names });
+    }
+  }
+
+  report.unreadable = [...unreadable];
+  return report;
+}
+
+module.exports = { backfill };
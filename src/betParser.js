@@ -0,0 +1,342 @@
+// src/betParser.js
+// The one bet-text parser, shared by the handlers (index.js), the ledger and
+// the sheet logging.
+// ----------------------------------------------------
+// Accepted layouts (initials + bettor first, everything after that free-form):
+//   "DH Danny Live Nuggets ML -210 $2.42 Returns $3.57"   (original format)
+//   "DH Danny Nuggets ML @ 1.91 $10"                     (decimal odds)
+//   "DH Danny Nuggets ML 5/2 $10"                        (fractional odds)
+//   "DH Danny Nuggets ML +150 for $10 to win $15"        (stake + profit)
+//   "DH Danny $10 Nuggets ML -110"                       (stake before market)
+//   "DH Danny Parlay $10                                  (parlay: header with the
+//    Nuggets ML -210                                       stake, then one leg per
+//    Lakers +150"                                          line with its own odds)
+//
+// Odds are normalised to decimal (`decimalOdds`); `odds` is the American
+// equivalent (as written when the bet used American odds), which is what the
+// sheet shows. `oddsFormat` records how they were written: american | decimal |
+// fractional | implied | parlay. Parlays also carry `legs` ([{ market, odds,
+// decimalOdds, oddsFormat }]) and their odds are the legs' combined odds.
+// Whichever of stake / returns is missing is worked out from the odds; with no
+// odds, a stake and returns imply them ("implied").
+//
+// Signed American odds win over anything else in the text; a fraction only
+// counts as odds right before the stake ("5/2 $10"), so dates and asides
+// ("12/25", "live 3/4 quarter") stay in the market.
+//
+// parseBet(text, { knownInitials }) -> { ok: true, bet } | { ok: false, reason, attempted }
+//   `attempted` is true when the text looks like it was meant to be a bet
+//   (initials + a $ amount), i.e. worth telling the author why it failed.
+//   With `knownInitials` (a Set, for messages not tracked yet) a bet, or an
+//   attempt, also needs known initials or the strict layout: capitalised
+//   initials and bettor name, and written odds ("DH Danny Nuggets ML -110 $10").
+//   That keeps chat like "ok so that was -110 for $10 right" out.
+
+const NUM = '(\\d+(?:,\\d{3})*(?:\\.\\d+)?)';
+
+const RETURNS_RE = new RegExp(
+  `\\b(?:to\\s+return|returns?|returned|payout)\\s*:?\\s*\\$\\s*${NUM}`,
+  'i'
+);
+const TO_WIN_RE = new RegExp(`\\b(?:to\\s+win|wins?)\\s*:?\\s*\\$\\s*${NUM}`, 'i');
+const STAKE_RE = new RegExp(`(?:\\b(?:for|stake|risk)\\s*:?\\s*)?\\$\\s*${NUM}`, 'i');
+
+const AT_ODDS_RE = /@\s*([+-]?\d+(?:\.\d+)?(?:\/\d+)?)/;
+// Fractional odds in the odds slot: right before the stake
+const FRACTIONAL_RE = /(?<![\w./])(\d+)\/(\d+)(?=\s+(?:for\s+)?\$\s*\d)/i;
+const AMERICAN_RE = /(?<![\w.])([+-]\d{3,}(?:\.\d+)?)(?![\w.])/g;
+// Unsigned odds sitting where the original format puts them: right before the stake
+const BARE_ODDS_RE = new RegExp(`(?<![\\w.])(\\d+(?:\\.\\d+)?)\\s+(?:for\\s+)?\\$\\s*${NUM}`, 'i');
+// The strict layout's head: "DH Danny ..."
+const STRICT_HEAD_RE = /^[A-Z]{2}\s+[A-Z][^\s$@]*\s/;
+
+function to2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+function toNumber(text) {
+  return Number(String(text).replace(/,/g, ''));
+}
+
+// ---------- Odds conversions ----------
+
+function americanToDecimal(odds) {
+  return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+}
+
+function decimalToAmerican(decimal) {
+  if (decimal >= 2) return Math.round((decimal - 1) * 100);
+  return -Math.round(100 / (decimal - 1));
+}
+
+// "-210" / "+150" / "150" / "1.91" / "5/2" -> { decimal, american, format } or null
+function readOdds(text) {
+  const raw = String(text).trim();
+
+  const frac = raw.match(/^(\d+)\/(\d+)$/);
+  if (frac) {
+    const [num, den] = [Number(frac[1]), Number(frac[2])];
+    if (!num || !den) return null;
+    const decimal = 1 + num / den;
+    return { decimal, american: decimalToAmerican(decimal), format: 'fractional' };
+  }
+
+  const n = Number(raw);
+  if (!isFinite(n)) return null;
+
+  // Signed, or a whole number of 100+, reads as American; otherwise decimal
+  if (/^[+-]/.test(raw) || (Number.isInteger(n) && n >= 100)) {
+    if (Math.abs(n) < 100) return null;
+    return { decimal: americanToDecimal(n), american: n, format: 'american' };
+  }
+  if (n <= 1) return null;
+  return { decimal: n, american: decimalToAmerican(n), format: 'decimal' };
+}
+
+// Find the odds in the text; returns { odds, match } (match = text to cut out of the market)
+function findOdds(text) {
+  // Odds usually come after the market, so take the last signed 3+ digit number
+  const american = [...text.matchAll(AMERICAN_RE)].pop();
+  if (american) return { odds: readOdds(american[1]), match: american[1] };
+
+  const at = text.match(AT_ODDS_RE);
+  if (at) return { odds: readOdds(at[1]), match: at[0] };
+
+  const frac = text.match(FRACTIONAL_RE);
+  if (frac) return { odds: readOdds(`${frac[1]}/${frac[2]}`), match: frac[0] };
+
+  const bare = text.match(BARE_ODDS_RE);
+  if (bare) {
+    const odds = readOdds(bare[1]);
+    // Bare decimals only in a believable range; "Over 220.5 $10" isn't odds
+    if (odds && (odds.format === 'american' || odds.decimal < 20)) return { odds, match: bare[1] };
+  }
+  return null;
+}
+
+// ---------- Parsing ----------
+
+// Known initials or the strict layout's head (anything goes without `knownInitials`)
+function isKnown(text, knownInitials) {
+  if (!knownInitials) return true;
+  return knownInitials.has(text.slice(0, 2).toUpperCase()) || STRICT_HEAD_RE.test(text);
+}
+
+function fail(reason, text, knownInitials) {
+  const attempted =
+    /^\s*[A-Za-z]{2}\s/.test(text) && /\$\s*\d/.test(text) && isKnown(text, knownInitials);
+  return { ok: false, reason, attempted };
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function cleanMarket(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,\-–:@]+|[\s,\-–:@]+$/g, '')
+    .replace(/\s+(?:for|at|odds)$/i, '')
+    .trim();
+}
+
+// Pull the $ amounts out of `rest`: { stake, returns, profit, rest }
+function takeAmounts(rest) {
+  const amounts = { stake: null, returns: null, profit: null, rest };
+  for (const [key, re] of [['returns', RETURNS_RE], ['profit', TO_WIN_RE], ['stake', STAKE_RE]]) {
+    const m = amounts.rest.match(re);
+    if (!m) continue;
+    amounts[key] = toNumber(m[1]);
+    amounts.rest = amounts.rest.replace(m[0], ' ');
+  }
+  return amounts;
+}
+
+// Fill in stake / returns from the odds; with no odds, derive them from the amounts.
+// Returns { odds, stake, returns } or a reason string.
+function settleAmounts(odds, { stake, returns, profit }) {
+  if (!odds) {
+    // No odds written: a stake plus returns (or profit) still pins them down
+    const back = returns ?? (profit != null && stake != null ? stake + profit : null);
+    if (stake == null || back == null || !(back > stake) || !(stake > 0)) {
+      return 'no odds were found (use e.g. `-110`, `+150`, `@ 1.91` or `5/2`)';
+    }
+    const decimal = back / stake;
+    odds = { decimal, american: decimalToAmerican(decimal), format: 'implied' };
+  }
+
+  const d = odds.decimal;
+  if (stake == null && returns != null) stake = returns / d;
+  if (stake == null && profit != null) stake = profit / (d - 1);
+  if (returns == null) returns = profit != null ? stake + profit : stake * d;
+
+  if (!(stake > 0)) return 'the stake has to be more than $0';
+  if (returns < stake) return 'the returns can\'t be less than the stake';
+  return { odds, stake, returns };
+}
+
+// One parlay leg per line: "Nuggets ML -210", "2. Lakers +150", "- Over 220.5 @ 1.91"
+function parseLeg(line) {
+  const text = line.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, '');
+
+  let found = findOdds(text);
+  if (!found) {
+    // Legs have no stake to anchor bare / fractional odds, so take a trailing number
+    const bare = text.match(/(?<![\w./])(\d+(?:\.\d+)?|\d+\/\d+)\s*$/);
+    const odds = bare && readOdds(bare[1]);
+    if (odds && (odds.format === 'american' || odds.decimal < 20)) found = { odds, match: bare[1] };
+  }
+  if (!found?.odds) return null;
+
+  const market = cleanMarket(text.replace(found.match, ' '));
+  if (!market) return null;
+  return {
+    market,
+    odds: found.odds.american,
+    decimalOdds: round4(found.odds.decimal),
+    oddsFormat: found.odds.format,
+  };
+}
+
+// Combined odds of a parlay's legs. `results` ({ [legNumber]: result }) drops
+// pushed / voided legs out of the product (a lost leg loses the whole bet, so
+// it isn't special-cased here).
+function combinedOdds(legs, results = {}) {
+  const decimal = legs.reduce((product, leg, i) => {
+    const result = results[i + 1];
+    return result === 'push' || result === 'void' ? product : product * leg.decimalOdds;
+  }, 1);
+  return { decimal: round4(decimal), american: decimal > 1 ? decimalToAmerican(decimal) : null };
+}
+
+// What a winning parlay pays once pushed / voided legs are taken out. Scales the
+// written returns, so a boosted price stays boosted.
+function parlayReturns(bet, results = {}) {
+  if (!bet.legs) return bet.returns;
+  const full = combinedOdds(bet.legs).decimal;
+  const now = combinedOdds(bet.legs, results).decimal;
+  return to2((bet.returns * now) / full);
+}
+
+function parseBet(text, { knownInitials } = {}) {
+  const source = String(text ?? '').trim();
+  const parsed = readBet(source);
+  if (!parsed.ok) return fail(parsed.reason, source, knownInitials);
+
+  // Unknown initials: only the strict layout, with odds actually written, counts
+  const { initials, oddsFormat } = parsed.bet;
+  if (knownInitials && !knownInitials.has(initials)) {
+    if (!STRICT_HEAD_RE.test(source) || oddsFormat === 'implied') {
+      return { ok: false, reason: `\`${initials}\` isn't a known bettor`, attempted: false };
+    }
+  }
+  return parsed;
+}
+
+// parseBet before the known-initials check
+function readBet(source) {
+  if (!source) return fail('the message is empty', source);
+
+  const head = source.match(/^([A-Za-z]{2})\s+(\S+)\s+([\s\S]+)$/);
+  if (!head) return fail('it should start with 2-letter initials and the bettor name', source);
+  if (/^[$@+\-\d]/.test(head[2])) return fail('the bettor name is missing after the initials', source);
+
+  const initials = head[1].toUpperCase();
+  const bettor = head[2];
+  const base = {
+    initials,
+    // IMPORTANT: GB = group bet. Any other 2-letter code = individual bet.
+    kind: initials === 'GB' ? 'Group' : 'Individual',
+    bettor,
+  };
+
+  // Parlay: a header line with no odds of its own, then 2+ lines of legs
+  const [first, ...more] = head[3].split('\n').map((l) => l.trim()).filter(Boolean);
+  if (more.length >= 2 && !findOdds(first)) return parseParlay(base, first, more, source);
+
+  let rest = head[3];
+
+  // Odds first, while the stake is still there to anchor unsigned odds
+  const found = findOdds(rest);
+  if (found && !found.odds) {
+    return fail(`\`${found.match.replace('@', '').trim()}\` isn't valid odds`, source);
+  }
+  if (found) rest = rest.replace(found.match, ' ');
+
+  const amounts = takeAmounts(rest);
+  const market = cleanMarket(amounts.rest);
+
+  if (amounts.stake == null && amounts.returns == null && amounts.profit == null) {
+    return fail('no stake or returns amount (e.g. `$10`) was found', source);
+  }
+  if (!market) return fail('the market (what the bet is on) is missing', source);
+
+  const settled = settleAmounts(found?.odds || null, amounts);
+  if (typeof settled === 'string') return fail(settled, source);
+
+  return {
+    ok: true,
+    bet: {
+      ...base,
+      market,
+      odds: settled.odds.american,
+      decimalOdds: round4(settled.odds.decimal),
+      oddsFormat: settled.odds.format,
+      stake: to2(settled.stake),
+      returns: to2(settled.returns),
+    },
+  };
+}
+
+function parseParlay(base, header, lines, source) {
+  const legs = [];
+  for (const [i, line] of lines.entries()) {
+    const leg = parseLeg(line);
+    if (!leg) return fail(`leg ${i + 1} (\`${line}\`) needs a market and odds`, source);
+    legs.push(leg);
+  }
+
+  const amounts = takeAmounts(header);
+  if (amounts.stake == null && amounts.returns == null && amounts.profit == null) {
+    return fail('no stake or returns amount (e.g. `$10`) was found on the first line', source);
+  }
+
+  const combined = combinedOdds(legs);
+  const odds = { decimal: combined.decimal, american: combined.american, format: 'parlay' };
+  const settled = settleAmounts(odds, amounts);
+  if (typeof settled === 'string') return fail(settled, source);
+
+  return {
+    ok: true,
+    bet: {
+      ...base,
+      market: cleanMarket(amounts.rest) || `${legs.length}-leg parlay`,
+      odds: settled.odds.american,
+      decimalOdds: settled.odds.decimal,
+      oddsFormat: 'parlay',
+      stake: to2(settled.stake),
+      returns: to2(settled.returns),
+      legs,
+    },
+  };
+}
+
+// Parsed bet or null (the shape logging / the ledger always used)
+function parseBetText(text) {
+  const result = parseBet(text);
+  return result.ok ? result.bet : null;
+}
+
+function isBetText(text) {
+  return parseBet(text).ok;
+}
+
+module.exports = {
+  americanToDecimal,
+  decimalToAmerican,
+  combinedOdds,
+  parlayReturns,
+  parseBet,
+  parseBetText,
+  isBetText,
+};
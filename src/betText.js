@@ -0,0 +1,97 @@
+// src/betText.js
+// Helpers for reading / writing the free-text bet format:
+//   "XX Name Market ±odds $stake Returns $x"
+// (parsing itself, including the looser layouts, lives in betParser.js)
+
+const { isInputChannel } = require('./channels.js');
+const { isBetText, parseBet, americanToDecimal } = require('./betParser.js');
+const { getBet } = require('./bets.js');
+const { listMembers } = require('./ledger.js');
+
+function hasGB(text) {
+  return /\bgb\b/i.test(text);
+}
+
+function isGroupBetMessage(msg) {
+  const content = msg.content ?? '';
+  return isInputChannel(msg) && isBetText(content) && hasGB(content);
+}
+
+// Initials a new bet can use without the strict layout: GB and every ledger member
+function knownInitials(guildId) {
+  return new Set(['GB', ...listMembers(guildId)]);
+}
+
+// parseBet for a message in the input channel. Tracked bets read as before; new
+// ones need known initials or the strict layout, so chat isn't taken for a bet.
+function parseBetMessage(msg) {
+  const content = msg.content ?? '';
+  if (getBet(msg.id)) return parseBet(content);
+  return parseBet(content, { knownInitials: knownInitials(msg.guildId) });
+}
+
+// A reply content that is exactly a $ amount: `$5`, `$6.5`, `$0`, with optional spaces after $
+function parseDollarOnlyMessage(content) {
+  const trimmed = content.trim();
+  const m = trimmed.match(/^\$\s*([0-9]+(?:\.[0-9]+)?)$/);
+  if (!m) return null;
+  return Number(m[1]);
+}
+
+// A partial cash-out reply: `$5 of $10` = took $5 of a $10 cash-out offer
+// (so half the stake is closed, the rest keeps running) -> { amount, offer }
+function parsePartialCashOut(content) {
+  const m = content.trim().match(/^\$\s*([0-9]+(?:\.[0-9]+)?)\s+of\s+\$\s*([0-9]+(?:\.[0-9]+)?)$/i);
+  if (!m) return null;
+  const [amount, offer] = [Number(m[1]), Number(m[2])];
+  if (!(amount > 0) || !(offer > 0) || amount > offer) return null;
+  return { amount, offer };
+}
+
+// A reply settling one parlay leg: `leg 2 won`, `2 lost`, `#3 push`, `leg 1: void`
+// -> { leg, result } with result won | lost | push | void
+const LEG_RESULTS = {
+  won: 'won', win: 'won', w: 'won',
+  lost: 'lost', lose: 'lost', loss: 'lost', l: 'lost',
+  push: 'push', pushed: 'push', p: 'push',
+  void: 'void', voided: 'void', v: 'void',
+};
+
+function parseLegReply(content) {
+  const m = content.trim().match(/^(?:leg\s*)?#?(\d+)\s*[:\-]?\s*([a-z]+)$/i);
+  const result = m && LEG_RESULTS[m[2].toLowerCase()];
+  if (!result || !Number(m[1])) return null;
+  return { leg: Number(m[1]), result };
+}
+
+// Always two decimals
+function fmtMoney(n) {
+  return Number(n).toFixed(2);
+}
+
+// Total returned (stake included) for a winning bet at American odds
+function americanReturns(odds, stake) {
+  return stake * americanToDecimal(odds);
+}
+
+// Canonical bet text, e.g. "DH Danny Live Nuggets ML -210 $2.42 Returns $3.57"
+function buildBetText({ initials, bettor, market, odds, stake, returns }) {
+  const oddsText = odds > 0 ? `+${odds}` : `${odds}`;
+  return (
+    `${initials.toUpperCase()} ${bettor} ${market} ${oddsText} ` +
+    `$${fmtMoney(stake)} Returns $${fmtMoney(returns)}`
+  );
+}
+
+module.exports = {
+  isBetText,
+  hasGB,
+  isGroupBetMessage,
+  parseBetMessage,
+  parseDollarOnlyMessage,
+  parsePartialCashOut,
+  parseLegReply,
+  fmtMoney,
+  americanReturns,
+  buildBetText,
+};
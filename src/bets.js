@@ -0,0 +1,319 @@
+// src/bets.js
+// Durable bet ledger: one record per source message in the input channel.
+// Replaces the old in-memory `groupBets` Map and `processed` Set so a restart
+// doesn't forget who voted or re-forward a bet that was already resolved.
+//
+// Record shape (key = source message id):
+// {
+//   messageId, guildId, channelId, authorId,
+//   content: string,            // last bet text we saw (edits diff against it)
+//   cancelled: null | { at: ISO string, reason: string }, // bet message deleted
+//   group: null | {
+//     proposerId: string,
+//     upvoters: string[],       // other voters (excludes proposer)
+//     downvoters: string[],     // other voters (excludes proposer)
+//     proposalForwarded: boolean,
+//     status: "open" | "passed" | "rejected" | "expired" | "cancelled",
+//     proposedAt: ISO string,   // drives the voting deadline (policy.js)
+//     closedAt?: ISO string,    // closed by the deadline: the result is final
+//     outputChannelId?, proposalMessageId?, announcementId?
+//                               // forwarded messages we edit as the tally changes
+//     buttonVoters?: string[],  // voters whose vote came from a button, not a reaction
+//     split?, settlement?       // see splits.js
+//   },
+//   resolved: null | {
+//     emoji: string, at: ISO string,
+//     outputMessageIds?: string[], // forwarded settlement (+ split) messages, for reversal
+//     replyId?: string,            // the `$amount` reply that cashed out / voided it
+//     amount?: number,             // cash-out amount
+//   },
+//   outputMessageIds: string[], // everything we posted to the output channel for it
+//   legResults?: { [legNumber]: { result: "won" | "lost" | "push" | "void", at: ISO string } },
+//                               // parlays: legs settled so far (see betParser.js)
+//   partials?: [{               // partial cash-outs (`$5 of $10` replies); the rest
+//     key, replyId?, at,        // of the stake stays open until resolved
+//     amount, offer, stake,     // took $amount of a $offer cash-out = `stake` of the stake
+//     outputMessageIds: string[],
+//   }],
+//   remindedAt?: ISO string,    // last "still open" reminder (reminders.js)
+//   threadId?: string,          // group bets: discussion thread on the proposal (threads.js)
+//   history?: [{                // audit trail, oldest first (/history)
+//     at: ISO string, actorId: string | null, // null: nobody we can name (deadline, deletion)
+//     action: string, from: string, to: string, // e.g. "settled", "open" -> "won"
+//     note?: string,
+//   }],
+// }
+
+const { openStore } = require('./store.js');
+
+const store = openStore('bets');
+
+function getBet(messageId) {
+  return store.get(messageId) || null;
+}
+
+// Create the record on first sight; fills in ids from the Discord message.
+// `authorId` overrides the message author for bets the bot posts on someone's
+// behalf (/bet place).
+function ensureBet(msg, { authorId } = {}) {
+  let bet = store.get(msg.id);
+  if (!bet) {
+    bet = {
+      messageId: msg.id,
+      guildId: msg.guildId ?? msg.guild?.id ?? '',
+      channelId: msg.channelId,
+      authorId: authorId ?? msg.author?.id ?? '',
+      content: msg.content ?? '',
+      cancelled: null,
+      group: null,
+      resolved: null,
+      outputMessageIds: [],
+    };
+    store.set(msg.id, bet);
+  }
+  return bet;
+}
+
+function listBets() {
+  return store.values();
+}
+
+function saveBet(bet) {
+  store.set(bet.messageId, bet);
+  return bet;
+}
+
+// Bet text edited: store the new text, return what it was before ('' if unknown)
+function updateBetContent(msg) {
+  const bet = store.get(msg.id);
+  if (!bet) return '';
+  const before = bet.content ?? '';
+  bet.content = msg.content ?? '';
+  saveBet(bet);
+  return before;
+}
+
+// Bet message deleted: flag the record (kept for history) and close any proposal
+function markCancelled(messageId, reason) {
+  const bet = store.get(messageId);
+  if (!bet || bet.cancelled) return null;
+  bet.cancelled = { at: new Date().toISOString(), reason };
+  if (bet.group) bet.group.status = 'cancelled';
+  saveBet(bet);
+  return bet;
+}
+
+function isCancelled(messageId) {
+  return !!store.get(messageId)?.cancelled;
+}
+
+// ---------- Group bet proposals ----------
+
+// Returns the proposal state with Sets (same shape the handlers always used).
+// split/settlement are left out; splits.js owns those.
+function getGroupBet(messageId) {
+  const g = store.get(messageId)?.group;
+  if (!g) return null;
+  const { split, settlement, ...rest } = g;
+  return {
+    ...rest,
+    proposerId: g.proposerId,
+    upvoters: new Set(g.upvoters),
+    downvoters: new Set(g.downvoters),
+    proposalForwarded: !!g.proposalForwarded,
+    status: g.status || 'open',
+    proposedAt: g.proposedAt || null,
+  };
+}
+
+// Who actually placed the bet (the ledger author wins over the Discord author)
+function getBetAuthorId(msg) {
+  return store.get(msg.id)?.authorId || msg.author?.id || '';
+}
+
+function ensureGroupBet(msg) {
+  const bet = ensureBet(msg);
+  if (!bet.group) {
+    bet.group = {
+      proposerId: bet.authorId,
+      upvoters: [],
+      downvoters: [],
+      proposalForwarded: false,
+      status: 'open',
+      proposedAt: new Date(msg.createdTimestamp || Date.now()).toISOString(),
+    };
+    saveBet(bet);
+  }
+  return getGroupBet(msg.id);
+}
+
+function setGroupBet(messageId, state) {
+  const bet = store.get(messageId);
+  if (!bet) return;
+  const { split, settlement, ...rest } = state;
+  bet.group = {
+    ...bet.group,
+    ...rest,
+    upvoters: Array.from(state.upvoters),
+    downvoters: Array.from(state.downvoters),
+    proposalForwarded: !!state.proposalForwarded,
+    status: state.status || 'open',
+  };
+  saveBet(bet);
+}
+
+// ---------- Resolutions (✅/❌) ----------
+
+function isResolved(messageId) {
+  return !!store.get(messageId)?.resolved;
+}
+
+function getResolved(messageId) {
+  return store.get(messageId)?.resolved || null;
+}
+
+function markResolved(msg, emoji, details = {}) {
+  const bet = ensureBet(msg);
+  bet.resolved = { emoji, at: new Date().toISOString(), outputMessageIds: [], ...details };
+  saveBet(bet);
+}
+
+function updateResolved(messageId, patch) {
+  const bet = store.get(messageId);
+  if (!bet?.resolved) return;
+  bet.resolved = { ...bet.resolved, ...patch };
+  saveBet(bet);
+}
+
+// Undo a resolution; returns what it was (or null)
+function clearResolved(messageId) {
+  const bet = store.get(messageId);
+  if (!bet?.resolved) return null;
+  const prev = bet.resolved;
+  bet.resolved = null;
+  saveBet(bet);
+  return prev;
+}
+
+// The bet a `$amount` / `$5 of $10` reply resolved or partly cashed out, if any
+function findBetByReply(replyId) {
+  const byReply = (b) =>
+    b.resolved?.replyId === replyId || !!b.partials?.some((p) => p.replyId === replyId);
+  return store.values().find(byReply) || null;
+}
+
+// ---------- Partial cash-outs ----------
+
+function getPartials(messageId) {
+  return store.get(messageId)?.partials || [];
+}
+
+function addPartial(msg, partial) {
+  const bet = ensureBet(msg);
+  bet.partials = [...(bet.partials || []), partial];
+  saveBet(bet);
+}
+
+// Undo one partial cash-out (by its key); returns it, or null
+function removePartial(messageId, key) {
+  const bet = store.get(messageId);
+  const partial = bet?.partials?.find((p) => p.key === key);
+  if (!partial) return null;
+  bet.partials = bet.partials.filter((p) => p !== partial);
+  saveBet(bet);
+  return partial;
+}
+
+// ---------- Parlay legs ----------
+
+// { [legNumber]: result } for the legs settled so far
+function getLegResults(messageId) {
+  const legs = store.get(messageId)?.legResults || {};
+  return Object.fromEntries(Object.entries(legs).map(([n, leg]) => [n, leg.result]));
+}
+
+// Record (or change) one leg's result; returns false if it already had that result
+function setLegResult(messageId, legNumber, result) {
+  const bet = store.get(messageId);
+  if (!bet) return false;
+  if (bet.legResults?.[legNumber]?.result === result) return false;
+  bet.legResults = {
+    ...(bet.legResults || {}),
+    [legNumber]: { result, at: new Date().toISOString() },
+  };
+  saveBet(bet);
+  return true;
+}
+
+// ---------- Reminders ----------
+
+function markReminded(messageId, at = new Date()) {
+  const bet = store.get(messageId);
+  if (!bet) return;
+  bet.remindedAt = new Date(at).toISOString();
+  saveBet(bet);
+}
+
+// ---------- Audit trail ----------
+
+// Record a state change (`from` / `to`: see settlement.js betState)
+function addHistory(messageId, { actorId = null, action, from, to, note }) {
+  const bet = store.get(messageId);
+  if (!bet) return;
+  const entry = { at: new Date().toISOString(), actorId, action, from, to };
+  if (note) entry.note = note;
+  bet.history = [...(bet.history || []), entry];
+  saveBet(bet);
+}
+
+function getHistory(messageId) {
+  return store.get(messageId)?.history || [];
+}
+
+// ---------- Output messages ----------
+
+function setThreadId(messageId, threadId) {
+  const bet = store.get(messageId);
+  if (!bet) return;
+  bet.threadId = threadId;
+  saveBet(bet);
+}
+
+function addOutputMessage(sourceMessageId, outputMessage) {
+  const bet = store.get(sourceMessageId);
+  if (!bet || !outputMessage?.id) return;
+  if (!bet.outputMessageIds.includes(outputMessage.id)) {
+    bet.outputMessageIds.push(outputMessage.id);
+    saveBet(bet);
+  }
+}
+
+module.exports = {
+  getBet,
+  listBets,
+  ensureBet,
+  saveBet,
+  updateBetContent,
+  markCancelled,
+  isCancelled,
+  getBetAuthorId,
+  getGroupBet,
+  ensureGroupBet,
+  setGroupBet,
+  isResolved,
+  getResolved,
+  markResolved,
+  updateResolved,
+  clearResolved,
+  findBetByReply,
+  getPartials,
+  addPartial,
+  removePartial,
+  getLegResults,
+  setLegResult,
+  markReminded,
+  addHistory,
+  getHistory,
+  setThreadId,
+  addOutputMessage,
+};
@@ -0,0 +1,88 @@
+// src/channels.js
+// Input/output channel lookup: by the guild's configured ID first, then by the
+// default name (fallback). A channel set with /config replaces the name fallback.
+
+const {
+  SOURCE_CHANNEL_ID,
+  TARGET_CHANNEL_ID,
+  INPUT_CHANNEL_NAME,
+  OUTPUT_CHANNEL_NAME,
+} = require('./config.js');
+const { getConfig } = require('./guildConfig.js');
+
+// { id, name } to look a channel up by; name is null once the guild picked one
+function channelRule(guildId, kind) {
+  const config = getConfig(guildId);
+  if (kind === 'input') {
+    const id = config.inputChannelId;
+    return { id, name: id === SOURCE_CHANNEL_ID ? INPUT_CHANNEL_NAME : null };
+  }
+  const id = config.outputChannelId;
+  return { id, name: id === TARGET_CHANNEL_ID ? OUTPUT_CHANNEL_NAME : null };
+}
+
+function matchesChannel(msg, kind) {
+  const { id, name } = channelRule(msg.guildId, kind);
+  return msg.channelId === id || (!!name && msg.channel?.name === name);
+}
+
+function isInputChannel(msg) {
+  return matchesChannel(msg, 'input');
+}
+
+function isOutputChannel(msg) {
+  return matchesChannel(msg, 'output');
+}
+
+async function findChannel(guild, { id, name }) {
+  try {
+    const byId = await guild.channels.fetch(id).catch(() => null);
+    if (byId && byId.isTextBased?.()) return byId;
+  } catch {}
+  if (!name) return null;
+  const byName = guild.channels.cache.find(
+    (c) => c.name === name && c.isTextBased?.()
+  );
+  return byName || null;
+}
+
+// Fetch output channel by ID first, then by name (fallback)
+function getOutputChannel(guild) {
+  return findChannel(guild, channelRule(guild.id, 'output'));
+}
+
+// Fetch input channel by ID first, then by name (fallback)
+function getInputChannel(guild) {
+  return findChannel(guild, channelRule(guild.id, 'input'));
+}
+
+// Accepts a message link (https://discord.com/channels/<guild>/<channel>/<message>)
+// or a bare message id (looked up in the input channel). Returns null if not found.
+async function fetchMessageByRef(guild, ref) {
+  const text = String(ref ?? '').trim();
+  const link = text.match(/channels\/(\d+)\/(\d+)\/(\d+)/);
+
+  let channel;
+  let messageId;
+  if (link) {
+    if (link[1] !== guild.id) return null;
+    channel = await guild.channels.fetch(link[2]).catch(() => null);
+    messageId = link[3];
+  } else if (/^\d{15,25}$/.test(text)) {
+    channel = await getInputChannel(guild);
+    messageId = text;
+  } else {
+    return null;
+  }
+
+  if (!channel || !channel.isTextBased?.()) return null;
+  return channel.messages.fetch(messageId).catch(() => null);
+}
+
+module.exports = {
+  isInputChannel,
+  isOutputChannel,
+  getOutputChannel,
+  getInputChannel,
+  fetchMessageByRef,
+};
@@ -0,0 +1,82 @@
+// src/commands/backfill.js
+// /backfill from [to] [dry_run] — rebuild the bet log for a date range from the
+// bet tracking channel's history (backfill.js): append the events it's missing,
+// or with dry_run just list them and anything that doesn't add up (admins only).
+
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { getInputChannel } = require('../channels.js');
+const { parseBetText } = require('../betParser.js');
+const { backfill } = require('../backfill.js');
+const { fitLines, parseDateOption } = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('backfill')
+  .setDescription('Log bet events missed while the bot was offline')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addStringOption((o) =>
+    o.setName('from').setDescription('Bets placed from, YYYY-MM-DD').setRequired(true)
+  )
+  .addStringOption((o) => o.setName('to').setDescription('Up to, YYYY-MM-DD (default: today)'))
+  .addBooleanOption((o) =>
+    o.setName('dry_run').setDescription('Only report what is missing or off (default: false)')
+  );
+
+// YYYY-MM-DD
+function day(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function betLabel(msg) {
+  const parsed = parseBetText(msg.content ?? '');
+  const label = parsed ? `**${parsed.initials || '?'}** ${parsed.market}` : 'bet';
+  return `${label} · [jump](${msg.url})`;
+}
+
+async function execute(interaction) {
+  const from = parseDateOption(interaction, 'from');
+  const to = parseDateOption(interaction, 'to', { endOfDay: true }) || new Date();
+  const dryRun = interaction.options.getBoolean('dry_run') ?? false;
+  if (from > to) throw new CommandError('`from` must be on or before `to`.');
+
+  const channel = await getInputChannel(interaction.guild);
+  if (!channel) throw new CommandError('No bet tracking channel is set up (see /config channels).');
+
+  const report = await backfill(channel, { from, to, dryRun });
+
+  const missingLines = report.missing.map(
+    ({ message, event, backends }) => `${event} — ${betLabel(message)} (${backends.join(', ')})`
+  );
+  const conflictLines = report.conflicts.map(
+    ({ message, text }) => `${betLabel(message)}: ${text}`
+  );
+  const notes = [
+    report.truncated &&
+      `Hit the message limit: only read back to ${day(report.readFrom)}; ` +
+        'run a shorter range.',
+    report.repliesUntil &&
+      `Replies after \`to\` were only read up to ${day(report.repliesUntil)}.`,
+    report.unreadable.length && `Couldn't read: ${report.unreadable.join(', ')}.`,
+  ].filter(Boolean);
+
+  const range = `${day(from)} to ${day(to)}`;
+  const embed = new EmbedBuilder()
+    .setTitle(`${dryRun ? 'Backfill dry run' : 'Backfill'}: ${range}`)
+    .setColor(report.conflicts.length ? 0xe67e22 : 0x2ecc71)
+    .setDescription(
+      [`${report.bets} bets checked (${report.scanned} messages scanned).`, ...notes].join('\n')
+    )
+    .addFields(
+      {
+        name: `${dryRun ? 'Missing' : 'Appended'} (${report.missing.length})`,
+        value: fitLines(missingLines) || 'Nothing missing.',
+      },
+      {
+        name: `Needs a look (${report.conflicts.length})`,
+        value: fitLines(conflictLines) || 'Nothing.',
+      }
+    );
+  return { embeds: [embed] };
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,54 @@
+// src/commands/balance.js
+// /balance [member] — bankroll, open stakes, realised P&L and ROI from the local ledger.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { getBalance, listMembers, memberForUser } = require('../ledger.js');
+const { money, signedMoney, pct } = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('balance')
+  .setDescription('Show bankroll and P&L for a member (or everyone)')
+  .addStringOption((o) =>
+    o.setName('member').setDescription('Initials or bettor name (default: you)')
+  );
+
+function formatBalance(b) {
+  return (
+    `**${b.memberName}** (${b.member})\n` +
+    `Bankroll: **${money(b.bankroll)}**\n` +
+    `Deposits: ${money(b.deposits)}\n` +
+    `Open: ${money(b.openStake)} across ${b.openBets} bet${b.openBets === 1 ? '' : 's'}\n` +
+    `Realised P&L: ${signedMoney(b.realised)} on ${money(b.settledStake)} staked ` +
+    `(ROI ${pct(b.roi)})`
+  );
+}
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const member =
+    interaction.options.getString('member') || memberForUser(guildId, interaction.user.id);
+
+  if (member) {
+    const balance = getBalance(guildId, member);
+    if (!balance.settledBets && !balance.openBets && !balance.deposits) {
+      throw new CommandError(`No ledger entries for \`${member}\`.`);
+    }
+    return formatBalance(balance);
+  }
+
+  // No member given and we don't know the caller's initials: everyone
+  const members = listMembers(guildId);
+  if (!members.length) return 'The ledger is empty.';
+
+  return members
+    .map((m) => getBalance(guildId, m))
+    .map(
+      (b) =>
+        `**${b.member}** ${money(b.bankroll)} · open ${money(b.openStake)} · ` +
+        `P&L ${signedMoney(b.realised)} · ROI ${pct(b.roi)}`
+    )
+    .join('\n');
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,51 @@
+// src/commands/bankroll.js
+// /bankroll deposit|withdraw <member> <amount> [note] — money in/out of a member's bankroll.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { recordDeposit, getBalance } = require('../ledger.js');
+const { money } = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+function addArgs(sub) {
+  return sub
+    .addStringOption((o) =>
+      o.setName('member').setDescription('Initials, e.g. DH (GB for the group pot)').setRequired(true)
+    )
+    .addNumberOption((o) =>
+      o.setName('amount').setDescription('Amount in $').setRequired(true).setMinValue(0.01)
+    )
+    .addStringOption((o) => o.setName('note').setDescription('Optional note'));
+}
+
+const data = new SlashCommandBuilder()
+  .setName('bankroll')
+  .setDescription('Record deposits and withdrawals')
+  .addSubcommand((sub) => addArgs(sub.setName('deposit').setDescription('Add money to a bankroll')))
+  .addSubcommand((sub) =>
+    addArgs(sub.setName('withdraw').setDescription('Take money out of a bankroll'))
+  );
+
+async function execute(interaction) {
+  const member = interaction.options.getString('member', true).trim();
+  if (!/^[A-Za-z]{2}$/.test(member)) {
+    throw new CommandError('Member must be the 2-letter initials used on bets.');
+  }
+
+  const withdraw = interaction.options.getSubcommand() === 'withdraw';
+  const amount = interaction.options.getNumber('amount', true);
+
+  recordDeposit({
+    guildId: interaction.guildId,
+    member,
+    amount: withdraw ? -amount : amount,
+    note: interaction.options.getString('note') || '',
+  });
+
+  const { bankroll } = getBalance(interaction.guildId, member);
+  return (
+    `${withdraw ? 'Withdrew' : 'Deposited'} ${money(amount)} ` +
+    `${withdraw ? 'from' : 'to'} **${member.toUpperCase()}** — bankroll now ${money(bankroll)}.`
+  );
+}
+
+module.exports = { data, execute };
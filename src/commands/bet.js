@@ -0,0 +1,235 @@
+// src/commands/bet.js
+// /bet place | settle | leg | cashout | void
+// Typed alternative to free-text bets + ✅/❌ reactions + $amount replies.
+// Everything funnels into the same forwarding + logging paths as the handlers.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { getEmojis } = require('../guildConfig.js');
+const { isInputChannel, getInputChannel, fetchMessageByRef } = require('../channels.js');
+const { americanReturns, buildBetText } = require('../betText.js');
+const { parseBet } = require('../betParser.js');
+const { isResolved, getLegResults } = require('../bets.js');
+const { proposeGroupBet } = require('../voting.js');
+const { settleDenied } = require('../permissions.js');
+const {
+  recordBetPlaced,
+  settleBet,
+  settleLeg,
+  cashOutBet,
+  cashOutPartial,
+  messageAppearsResolved,
+} = require('../settlement.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('bet')
+  .setDescription('Place and settle bets')
+  .addSubcommand((sub) =>
+    sub
+      .setName('place')
+      .setDescription('Post a bet to the tracking channel')
+      .addStringOption((o) =>
+        o.setName('initials').setDescription('2-letter code, GB for a group bet').setRequired(true)
+          .setMinLength(2).setMaxLength(2)
+      )
+      .addStringOption((o) =>
+        o.setName('bettor').setDescription('Bettor name (one word)').setRequired(true)
+      )
+      .addStringOption((o) =>
+        o.setName('market').setDescription('e.g. "Live Nuggets ML"').setRequired(true)
+      )
+      .addIntegerOption((o) =>
+        o.setName('odds').setDescription('American odds, e.g. -210 or 150').setRequired(true)
+      )
+      .addNumberOption((o) =>
+        o.setName('stake').setDescription('Stake in $').setRequired(true).setMinValue(0.01)
+      )
+      .addNumberOption((o) =>
+        o.setName('returns').setDescription('Total returns in $ (default: worked out from odds)')
+          .setMinValue(0.01)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('settle')
+      .setDescription('Mark a bet as won or lost')
+      .addStringOption((o) =>
+        o.setName('bet').setDescription('Message link or ID of the bet').setRequired(true)
+      )
+      .addStringOption((o) =>
+        o.setName('outcome').setDescription('Result').setRequired(true)
+          .addChoices({ name: 'won', value: 'won' }, { name: 'lost', value: 'lost' })
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('leg')
+      .setDescription('Settle one leg of a parlay')
+      .addStringOption((o) =>
+        o.setName('bet').setDescription('Message link or ID of the parlay').setRequired(true)
+      )
+      .addIntegerOption((o) =>
+        o.setName('leg').setDescription('Leg number (1 = first line after the stake)')
+          .setRequired(true).setMinValue(1)
+      )
+      .addStringOption((o) =>
+        o.setName('result').setDescription('Result').setRequired(true)
+          .addChoices(
+            { name: 'won', value: 'won' },
+            { name: 'lost', value: 'lost' },
+            { name: 'push', value: 'push' },
+            { name: 'void', value: 'void' }
+          )
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('cashout')
+      .setDescription('Cash out a bet')
+      .addStringOption((o) =>
+        o.setName('bet').setDescription('Message link or ID of the bet').setRequired(true)
+      )
+      .addNumberOption((o) =>
+        o.setName('amount').setDescription('Cash-out amount in $').setRequired(true)
+          .setMinValue(0.01)
+      )
+      .addNumberOption((o) =>
+        o.setName('of').setDescription('Partial cash-out: the full cash-out offer in $')
+          .setMinValue(0.01)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('void')
+      .setDescription('Void a bet')
+      .addStringOption((o) =>
+        o.setName('bet').setDescription('Message link or ID of the bet').setRequired(true)
+      )
+  );
+
+// Look up the bet a settle/cashout/void points at and make sure it's a real bet
+async function fetchBet(interaction) {
+  const ref = interaction.options.getString('bet', true);
+  const msg = await fetchMessageByRef(interaction.guild, ref);
+  if (!msg) throw new CommandError(`Couldn't find a message for \`${ref}\`.`);
+  if (!isInputChannel(msg)) throw new CommandError('That message is not in the tracking channel.');
+
+  const parsed = parseBet(msg.content ?? '');
+  if (!parsed.ok) throw new CommandError(`That message isn't a bet I can read: ${parsed.reason}.`);
+
+  // Every subcommand that looks a bet up settles it in some way
+  const denied = await settleDenied(msg, interaction.user);
+  if (denied) throw new CommandError(denied);
+  return msg;
+}
+
+async function place(interaction) {
+  const initials = interaction.options.getString('initials', true).trim().toUpperCase();
+  const bettor = interaction.options.getString('bettor', true).trim();
+  const market = interaction.options.getString('market', true).trim().replace(/\s+/g, ' ');
+  const odds = interaction.options.getInteger('odds', true);
+  const stake = interaction.options.getNumber('stake', true);
+  let returns = interaction.options.getNumber('returns');
+
+  if (!/^[A-Z]{2}$/.test(initials)) {
+    throw new CommandError('Initials must be exactly 2 letters (GB for a group bet).');
+  }
+  if (!bettor || /\s/.test(bettor)) {
+    throw new CommandError('Bettor must be a single word, e.g. `Danny`.');
+  }
+  if (!market) throw new CommandError('Market cannot be empty.');
+  if (Math.abs(odds) < 100) {
+    throw new CommandError('American odds must be +100 or higher, or -100 or lower.');
+  }
+  if (returns == null) returns = americanReturns(odds, stake);
+  if (returns < stake) throw new CommandError('Returns cannot be less than the stake.');
+
+  const input = await getInputChannel(interaction.guild);
+  if (!input) throw new CommandError('Could not find the bet tracking channel.');
+
+  const text = buildBetText({ initials, bettor, market, odds, stake, returns });
+  const posted = await input.send(text);
+  await recordBetPlaced(posted, { author: interaction.user });
+
+  if (initials === 'GB') await proposeGroupBet(posted);
+
+  return `Bet placed: ${posted.url}`;
+}
+
+async function settle(interaction) {
+  const msg = await fetchBet(interaction);
+  if (isResolved(msg.id)) throw new CommandError('That bet is already settled.');
+
+  const won = interaction.options.getString('outcome', true) === 'won';
+  const { success, fail } = getEmojis(interaction.guildId);
+  const emoji = won ? success : fail;
+
+  // Same visual marker as settling by hand (bot reactions are ignored by the handlers)
+  await msg.react(emoji).catch(() => {});
+  const sent = await settleBet(msg, emoji, { actor: interaction.user });
+  if (!sent) throw new CommandError('Could not forward the result to the output channel.');
+
+  return `Bet marked as ${won ? 'won' : 'lost'}: ${sent.url}`;
+}
+
+async function leg(interaction) {
+  const msg = await fetchBet(interaction);
+  const legs = parseBet(msg.content ?? '').bet.legs;
+  if (!legs) throw new CommandError('That bet is not a parlay.');
+  if (isResolved(msg.id)) throw new CommandError('That bet is already settled.');
+
+  const n = interaction.options.getInteger('leg', true);
+  const result = interaction.options.getString('result', true);
+  if (n > legs.length) throw new CommandError(`That parlay only has ${legs.length} legs.`);
+  if (getLegResults(msg.id)[n] === result) {
+    throw new CommandError(`Leg ${n} is already marked ${result}.`);
+  }
+
+  const sent = await settleLeg(msg, n, result, { actor: interaction.user });
+  if (!sent) throw new CommandError('Could not forward the leg result to the output channel.');
+
+  return `Leg ${n} marked ${result}: ${sent.url}`;
+}
+
+async function cashout(interaction) {
+  const msg = await fetchBet(interaction);
+  if (isResolved(msg.id) || (await messageAppearsResolved(msg))) {
+    throw new CommandError('That bet is already settled.');
+  }
+
+  const amount = interaction.options.getNumber('amount', true);
+  const offer = interaction.options.getNumber('of');
+  if (offer != null && amount > offer) {
+    throw new CommandError('The amount taken cannot be more than the cash-out offer.');
+  }
+
+  const partial = offer != null && amount < offer;
+  const actor = interaction.user;
+  const sent = partial
+    ? await cashOutPartial(msg, amount, offer, { actor })
+    : await cashOutBet(msg, amount, { actor });
+  if (!sent) throw new CommandError('Could not forward the cash-out to the output channel.');
+
+  return `${partial ? 'Partial cash-out' : 'Cash-out'} recorded: ${sent.url}`;
+}
+
+async function voidBet(interaction) {
+  const msg = await fetchBet(interaction);
+  if (isResolved(msg.id) || (await messageAppearsResolved(msg))) {
+    throw new CommandError('That bet is already settled.');
+  }
+
+  const sent = await cashOutBet(msg, 0, { actor: interaction.user });
+  if (!sent) throw new CommandError('Could not forward the void to the output channel.');
+
+  return `Bet voided: ${sent.url}`;
+}
+
+const subcommands = { place, settle, leg, cashout, void: voidBet };
+
+async function execute(interaction) {
+  const run = subcommands[interaction.options.getSubcommand()];
+  return run(interaction);
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,273 @@
+// src/commands/config.js
+// /config show | channels | emojis | sheet | recap | reminders | permissions | reset —
+// per-guild bot setup (admins only).
+
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { getConfig, setConfig, resetConfig, describeConfig } = require('../guildConfig.js');
+const { parseCron } = require('../cron.js');
+const { CommandError } = require('./errors.js');
+
+// option name -> key in config.emojis
+const EMOJI_OPTIONS = {
+  won: 'success',
+  lost: 'fail',
+  cashout: 'cashOut',
+  void: 'void',
+  vote_for: 'upvote',
+  vote_against: 'downvote',
+};
+
+const data = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('Bot setup for this server')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((sub) => sub.setName('show').setDescription('Show the current setup'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('channels')
+      .setDescription('Where bets are posted and where results go')
+      .addChannelOption((o) =>
+        o.setName('input').setDescription('Bet tracking channel').addChannelTypes(ChannelType.GuildText)
+      )
+      .addChannelOption((o) =>
+        o.setName('output').setDescription('Results / discussion channel')
+          .addChannelTypes(ChannelType.GuildText)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('emojis')
+      .setDescription('Reactions the bot reads and writes (only the options you give are changed)')
+      .addStringOption((o) => o.setName('won').setDescription('Marks a bet as won (default ✅)'))
+      .addStringOption((o) => o.setName('lost').setDescription('Marks a bet as lost (default ❌)'))
+      .addStringOption((o) => o.setName('cashout').setDescription('Cash-out marker (default 🟡)'))
+      .addStringOption((o) => o.setName('void').setDescription('Void marker (default ⚫)'))
+      .addStringOption((o) => o.setName('vote_for').setDescription('Group bet For vote (default 👍)'))
+      .addStringOption((o) =>
+        o.setName('vote_against').setDescription('Group bet Against vote (default 👎)')
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('sheet')
+      .setDescription('Google Sheets logging')
+      .addStringOption((o) =>
+        o.setName('spreadsheet').setDescription('Spreadsheet ID or URL')
+      )
+      .addStringOption((o) =>
+        o.setName('tab').setDescription("Tab this server's rows go to").setMaxLength(100)
+      )
+      .addStringOption((o) =>
+        o.setName('logging_start').setDescription('Only log bets from this date, e.g. 2025-11-01')
+      )
+      .addStringOption((o) =>
+        o.setName('rollover').setDescription('Start a new tab every week / month')
+          .addChoices(
+            { name: 'never', value: 'never' },
+            { name: 'weekly', value: 'week' },
+            { name: 'monthly', value: 'month' }
+          )
+      )
+      .addBooleanOption((o) =>
+        o.setName('use_defaults').setDescription('Go back to the default spreadsheet and start date')
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('recap')
+      .setDescription('When recaps are posted to the output channel (cron, UTC; "off" to stop)')
+      .addStringOption((o) =>
+        o.setName('weekly').setDescription('e.g. "0 9 * * 1" = Mondays 09:00 UTC')
+      )
+      .addStringOption((o) =>
+        o.setName('monthly').setDescription('e.g. "0 9 1 * *" = the 1st, 09:00 UTC')
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('reminders')
+      .setDescription('Remind bettors about bets left open')
+      .addNumberOption((o) =>
+        o.setName('after_hours').setDescription('Remind once a bet is open this long (0 = off)')
+          .setMinValue(0)
+      )
+      .addStringOption((o) =>
+        o.setName('mode').setDescription('How to remind them')
+          .addChoices(
+            { name: 'DM the bettor', value: 'dm' },
+            { name: 'ping in the output channel', value: 'channel' }
+          )
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('permissions')
+      .setDescription('Who may settle bets and vote (only the options you give are changed)')
+      .addRoleOption((o) =>
+        o.setName('bookkeeper').setDescription("Settles anyone's individual bets")
+      )
+      .addRoleOption((o) =>
+        o.setName('treasurer').setDescription('Only role that settles group bets / splits')
+      )
+      .addRoleOption((o) =>
+        o.setName('voter').setDescription('The only role whose group bet votes count')
+      )
+      .addStringOption((o) =>
+        o.setName('clear').setDescription('Let anyone do it again')
+          .addChoices(
+            { name: 'bookkeeper', value: 'bookkeeperRoleId' },
+            { name: 'treasurer', value: 'treasurerRoleId' },
+            { name: 'voter', value: 'voterRoleId' },
+            { name: 'all', value: 'all' }
+          )
+      )
+  )
+  .addSubcommand((sub) => sub.setName('reset').setDescription('Back to the default setup'));
+
+// Standard emoji only: custom ones show up by name in reactions, which can clash
+function parseEmoji(value) {
+  const text = value.trim();
+  if (!text || /^<a?:\w+:\d+>$/.test(text)) {
+    throw new CommandError('Use a standard emoji (custom server emojis are not supported).');
+  }
+  if (/[\s\w]/.test(text) || [...text].length > 8) {
+    throw new CommandError(`\`${text}\` is not a single emoji.`);
+  }
+  return text;
+}
+
+// Accepts the bare ID or a docs.google.com/spreadsheets/d/<id>/... URL
+function parseSpreadsheetId(value) {
+  const text = value.trim();
+  const id = text.match(/\/spreadsheets\/d\/([\w-]+)/)?.[1] ?? text;
+  if (!/^[\w-]{20,}$/.test(id)) throw new CommandError('That does not look like a spreadsheet ID.');
+  return id;
+}
+
+function channels(interaction) {
+  const input = interaction.options.getChannel('input');
+  const output = interaction.options.getChannel('output');
+  if (!input && !output) throw new CommandError('Give an input and/or output channel.');
+
+  const patch = {};
+  if (input) patch.inputChannelId = input.id;
+  if (output) patch.outputChannelId = output.id;
+
+  const next = { ...getConfig(interaction.guildId), ...patch };
+  if (next.inputChannelId === next.outputChannelId) {
+    throw new CommandError('Input and output must be different channels.');
+  }
+  return patch;
+}
+
+function emojis(interaction) {
+  const changes = {};
+  for (const [option, key] of Object.entries(EMOJI_OPTIONS)) {
+    const value = interaction.options.getString(option);
+    if (value != null) changes[key] = parseEmoji(value);
+  }
+  if (!Object.keys(changes).length) throw new CommandError('Give at least one emoji to change.');
+
+  const next = Object.values({ ...getConfig(interaction.guildId).emojis, ...changes });
+  if (new Set(next).size !== next.length) {
+    throw new CommandError('Each emoji can only be used for one thing.');
+  }
+  return { emojis: changes };
+}
+
+function sheet(interaction) {
+  if (interaction.options.getBoolean('use_defaults')) {
+    return { spreadsheetId: null, loggingStartIso: null };
+  }
+
+  const spreadsheet = interaction.options.getString('spreadsheet');
+  const tab = interaction.options.getString('tab');
+  const start = interaction.options.getString('logging_start');
+  const rollover = interaction.options.getString('rollover');
+  if (spreadsheet == null && tab == null && start == null && rollover == null) {
+    throw new CommandError('Give a spreadsheet, tab, logging start date and/or rollover.');
+  }
+
+  const patch = {};
+  if (spreadsheet != null) patch.spreadsheetId = parseSpreadsheetId(spreadsheet);
+  if (tab != null) {
+    if (!tab.trim() || /[[\]*?:/\\']/.test(tab)) {
+      throw new CommandError("Tab names can't be empty or contain [ ] * ? : / \\ or '.");
+    }
+    patch.sheetTab = tab.trim();
+  }
+  if (start != null) {
+    const date = new Date(start.trim());
+    if (!isFinite(date)) throw new CommandError(`\`${start}\` is not a date (use YYYY-MM-DD).`);
+    patch.loggingStartIso = date.toISOString();
+  }
+  if (rollover != null) patch.sheetRollover = rollover === 'never' ? null : rollover;
+  return patch;
+}
+
+function recap(interaction) {
+  const recaps = {};
+  for (const kind of ['weekly', 'monthly']) {
+    const value = interaction.options.getString(kind)?.trim();
+    if (value == null) continue;
+    if (value.toLowerCase() === 'off') {
+      recaps[kind] = null;
+      continue;
+    }
+    try {
+      parseCron(value);
+    } catch (err) {
+      throw new CommandError(`\`${value}\` is not a valid schedule: ${err.message}.`);
+    }
+    recaps[kind] = value;
+  }
+  if (!Object.keys(recaps).length) throw new CommandError('Give a weekly and/or monthly schedule.');
+  return { recaps };
+}
+
+function reminders(interaction) {
+  const afterHours = interaction.options.getNumber('after_hours');
+  const mode = interaction.options.getString('mode');
+  if (afterHours == null && mode == null) throw new CommandError('Give a time and/or mode.');
+
+  const patch = {};
+  if (afterHours != null) patch.afterHours = afterHours || null;
+  if (mode != null) patch.mode = mode;
+  return { reminders: patch };
+}
+
+// option name -> key in config.permissions
+const ROLE_OPTIONS = {
+  bookkeeper: 'bookkeeperRoleId',
+  treasurer: 'treasurerRoleId',
+  voter: 'voterRoleId',
+};
+
+function permissions(interaction) {
+  const clear = interaction.options.getString('clear');
+  const patch = {};
+  for (const key of Object.values(ROLE_OPTIONS)) {
+    if (clear === key || clear === 'all') patch[key] = null;
+  }
+  for (const [option, key] of Object.entries(ROLE_OPTIONS)) {
+    const role = interaction.options.getRole(option);
+    if (role) patch[key] = role.id;
+  }
+  if (!Object.keys(patch).length) throw new CommandError('Give a role to set and/or one to clear.');
+  return { permissions: patch };
+}
+
+const updates = { channels, emojis, sheet, recap, reminders, permissions };
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'show') return `**Bot setup**\n${describeConfig(getConfig(guildId))}`;
+  if (sub === 'reset') return `**Bot setup reset**\n${describeConfig(resetConfig(guildId))}`;
+
+  const patch = updates[sub](interaction);
+  return `**Bot setup updated**\n${describeConfig(setConfig(guildId, patch))}`;
+}
+
+module.exports = { data, execute };
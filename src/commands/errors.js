@@ -0,0 +1,12 @@
+// src/commands/errors.js
+// Thrown by command handlers for bad input; the message is shown to the user
+// as an ephemeral reply. Anything else is logged and reported generically.
+
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+module.exports = { CommandError };
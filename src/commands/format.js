@@ -0,0 +1,85 @@
+// src/commands/format.js
+// Small formatting / option-parsing helpers shared by the slash commands.
+
+const { fmtMoney } = require('../betText.js');
+const { periodRange } = require('../stats.js');
+const { CommandError } = require('./errors.js');
+
+// Choices for a `period` option (see periodRange in stats.js)
+const PERIOD_CHOICES = [
+  { name: 'this week', value: 'week' },
+  { name: 'last week', value: 'last-week' },
+  { name: 'this month', value: 'month' },
+  { name: 'last month', value: 'last-month' },
+  { name: 'this year', value: 'year' },
+  { name: 'all time', value: 'all' },
+];
+
+// $12.50 / -$3.00
+function money(n) {
+  return `${n < 0 ? '-' : ''}$${fmtMoney(Math.abs(n))}`;
+}
+
+// +$12.50 / -$3.00
+function signedMoney(n) {
+  return `${n < 0 ? '-' : '+'}$${fmtMoney(Math.abs(n))}`;
+}
+
+// 0.1234 -> "+12.3%", null -> "—"
+function pct(ratio) {
+  if (ratio == null || !isFinite(ratio)) return '—';
+  return `${ratio < 0 ? '' : '+'}${(ratio * 100).toFixed(1)}%`;
+}
+
+// "YYYY-MM-DD" option -> Date (UTC). `endOfDay` makes a "to" bound inclusive.
+function parseDateOption(interaction, name, { endOfDay = false } = {}) {
+  const raw = interaction.options.getString(name);
+  if (!raw) return null;
+  const m = raw.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = m ? new Date(`${m[1]}-${m[2]}-${m[3]}T00:00:00Z`) : null;
+  if (!date || isNaN(date)) {
+    throw new CommandError(`\`${name}\` must be a date like 2025-11-01.`);
+  }
+  if (endOfDay) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+// `period` option -> { from, to, label } (default: all time)
+function parsePeriodOption(interaction, name = 'period') {
+  const raw = interaction.options.getString(name) || 'all';
+  const last = raw.startsWith('last-');
+  return periodRange(last ? raw.slice(5) : raw, last ? 1 : 0);
+}
+
+// Embed fields cap out at 1024 characters
+const FIELD_LIMIT = 1000;
+
+// As many lines as fit in one embed field, then "…and N more"
+function fitLines(lines) {
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 20 > FIELD_LIMIT) break;
+    shown.push(line);
+    length += line.length + 1;
+  }
+  if (shown.length < lines.length) shown.push(`…and ${lines.length - shown.length} more`);
+  return shown.join('\n');
+}
+
+// -110 -> "-110", 150 -> "+150", null -> "—"
+function fmtOdds(odds) {
+  if (odds == null) return '—';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+module.exports = {
+  PERIOD_CHOICES,
+  money,
+  signedMoney,
+  pct,
+  fmtOdds,
+  fitLines,
+  parseDateOption,
+  parsePeriodOption,
+};
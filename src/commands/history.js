@@ -0,0 +1,62 @@
+// src/commands/history.js
+// /history <bet> — a bet's audit trail (bets.js `history`): every state change
+// with who made it, when, and the state before and after. Works for deleted
+// bets too, since it reads the record rather than the message.
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getBet, getHistory } = require('../bets.js');
+const { parseBetText } = require('../betParser.js');
+const { betUrl } = require('../reminders.js');
+const { betState } = require('../settlement.js');
+const { fitLines } = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('Who settled, cashed out or changed a bet, and when')
+  .addStringOption((o) =>
+    o.setName('bet').setDescription('Message link or ID of the bet').setRequired(true)
+  );
+
+// Edits record the old and new bet text as their states
+const STATE_LIMIT = 80;
+
+function clip(text) {
+  const oneLine = String(text ?? '').replace(/\s+/g, ' ').trim() || '—';
+  return oneLine.length > STATE_LIMIT ? `${oneLine.slice(0, STATE_LIMIT - 1)}…` : oneLine;
+}
+
+function historyLine({ at, actorId, action, from, to, note }) {
+  const when = `<t:${Math.floor(new Date(at).getTime() / 1000)}:f>`;
+  const who = actorId ? `<@${actorId}>` : 'unknown';
+  const change = from === to ? clip(to) : `${clip(from)} → ${clip(to)}`;
+  return `${when} ${who} **${action}**: ${change}${note ? ` (${note})` : ''}`;
+}
+
+async function execute(interaction) {
+  const ref = interaction.options.getString('bet', true).trim();
+  // A message link ends in the message id
+  const messageId = ref.match(/(\d{15,25})\/?$/)?.[1];
+  const bet = messageId && getBet(messageId);
+  if (!bet || bet.guildId !== interaction.guildId) {
+    throw new CommandError(`No tracked bet for \`${ref}\`.`);
+  }
+
+  const parsed = parseBetText(bet.content || '');
+  const history = getHistory(messageId);
+  const now = betState({ id: messageId, content: bet.content });
+
+  const embed = new EmbedBuilder()
+    .setTitle(parsed ? `History: ${parsed.initials || '?'} ${parsed.market}` : 'History')
+    .setURL(betUrl(bet))
+    .setColor(0x3498db)
+    .setDescription(`Now **${now}** · placed by <@${bet.authorId}>`)
+    .addFields({
+      name: `Changes (${history.length}, newest first)`,
+      // Bets from before the audit trail have none recorded
+      value: fitLines(history.map(historyLine).reverse()) || 'Nothing recorded.',
+    });
+  return { embeds: [embed] };
+}
+
+module.exports = { data, execute };
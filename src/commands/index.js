@@ -0,0 +1,77 @@
+// src/commands/index.js
+// Slash command registry: registration on ready + InteractionCreate dispatch.
+// Each command module exports { data: SlashCommandBuilder, execute(interaction) }.
+// execute() returns the (ephemeral) reply: text, or message options such as
+// { embeds }; or throws CommandError.
+// Button clicks are routed here too: vote buttons on forwarded proposals
+// (embeds.js) go to voting.js, and the reply is ephemeral the same way.
+
+const { MessageFlags } = require('discord.js');
+const { CommandError } = require('./errors.js');
+const { parseVoteButton } = require('../embeds.js');
+const { handleVoteButton } = require('../voting.js');
+
+const commands = new Map(
+  [
+    require('./bet.js'),
+    require('./balance.js'),
+    require('./ledger.js'),
+    require('./bankroll.js'),
+    require('./split.js'),
+    require('./settleup.js'),
+    require('./voting.js'),
+    require('./config.js'),
+    require('./stats.js'),
+    require('./leaderboard.js'),
+    require('./open.js'),
+    require('./logging.js'),
+    require('./backfill.js'),
+    require('./history.js'),
+  ].map((cmd) => [cmd.data.name, cmd])
+);
+
+// Guild commands show up instantly (global ones can take up to an hour)
+async function registerCommands(guild) {
+  await guild.commands.set([...commands.values()].map((cmd) => cmd.data.toJSON()));
+}
+
+async function handleButton(interaction) {
+  const vote = parseVoteButton(interaction.customId);
+  if (!vote) return;
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    await interaction.editReply(await handleVoteButton(interaction, vote));
+  } catch (err) {
+    console.error('Vote button error:', err);
+    await interaction.editReply('⚠️ Something went wrong, check the bot logs.');
+  }
+}
+
+async function handleInteraction(interaction) {
+  if (interaction.isButton() && interaction.inGuild()) {
+    await handleButton(interaction);
+    return;
+  }
+  if (!interaction.isChatInputCommand()) return;
+  if (!interaction.inGuild()) return;
+
+  const command = commands.get(interaction.commandName);
+  if (!command) return;
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const reply = await command.execute(interaction);
+    await interaction.editReply(reply || 'Done.');
+  } catch (err) {
+    if (err instanceof CommandError) {
+      await interaction.editReply(`⚠️ ${err.message}`);
+      return;
+    }
+    console.error(`/${interaction.commandName} error:`, err);
+    await interaction.editReply('⚠️ Something went wrong, check the bot logs.');
+  }
+}
+
+module.exports = { registerCommands, handleInteraction };
@@ -0,0 +1,64 @@
+// src/commands/leaderboard.js
+// /leaderboard [metric] [period] — members ranked by P&L, ROI, win rate, units
+// or longest win streak, as an embed.
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { METRICS, LEADERBOARD_MIN_BETS, leaderboard } = require('../stats.js');
+const { PERIOD_CHOICES, signedMoney, pct, parsePeriodOption } = require('./format.js');
+
+// Rows shown
+const TOP = 10;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const data = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('Rank members by performance')
+  .addStringOption((o) =>
+    o.setName('metric').setDescription('What to rank by (default: P&L)')
+      .addChoices(...Object.entries(METRICS).map(([value, m]) => ({ name: m.label, value })))
+  )
+  .addStringOption((o) =>
+    o.setName('period').setDescription('Time window (default: all time)')
+      .addChoices(...PERIOD_CHOICES)
+  );
+
+// The ranked value, formatted for its metric
+const SHOW = {
+  pnl: (s) => signedMoney(s.pnl),
+  roi: (s) => pct(s.roi),
+  winrate: (s) => pct(s.winRate).replace('+', ''),
+  units: (s) => `${s.units > 0 ? '+' : ''}${s.units.toFixed(1)}u`,
+  streak: (s) => `${s.longestWin}W`,
+};
+
+async function execute(interaction) {
+  const metric = interaction.options.getString('metric') || 'pnl';
+  const { from, to, label } = parsePeriodOption(interaction);
+
+  const ranked = leaderboard(interaction.guildId, metric, { from, to });
+  const embed = new EmbedBuilder()
+    .setTitle(`Leaderboard: ${METRICS[metric].label} — ${label}`)
+    .setColor(0xf1c40f);
+
+  if (!ranked.length) {
+    embed.setDescription('No settled bets in this period yet.');
+  } else {
+    embed.setDescription(
+      ranked
+        .slice(0, TOP)
+        .map(
+          (s) =>
+            `${MEDALS[s.rank - 1] || `**${s.rank}.**`} **${s.memberName}** (${s.member}) ` +
+            `${SHOW[metric](s)} · ${s.won}-${s.lost}`
+        )
+        .join('\n')
+    );
+  }
+  if (METRICS[metric].rate) {
+    embed.setFooter({ text: `Members with at least ${LEADERBOARD_MIN_BETS} settled bets` });
+  }
+  return { embeds: [embed] };
+}
+
+module.exports = { data, execute };
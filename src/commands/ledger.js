@@ -0,0 +1,56 @@
+// src/commands/ledger.js
+// /ledger [member] [from] [to] [page] — paginated ledger entries, newest first.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { listEntries, memberForUser } = require('../ledger.js');
+const { money, signedMoney, parseDateOption } = require('./format.js');
+
+const PAGE_SIZE = 10;
+
+const data = new SlashCommandBuilder()
+  .setName('ledger')
+  .setDescription('List ledger entries')
+  .addStringOption((o) =>
+    o.setName('member').setDescription('Initials or bettor name (default: you, else everyone)')
+  )
+  .addStringOption((o) => o.setName('from').setDescription('Start date, YYYY-MM-DD'))
+  .addStringOption((o) => o.setName('to').setDescription('End date, YYYY-MM-DD'))
+  .addIntegerOption((o) => o.setName('page').setDescription('Page number').setMinValue(1));
+
+function formatEntry(e) {
+  const day = e.at.slice(0, 10);
+  if (e.type === 'deposit') {
+    const what = e.amount < 0 ? 'Withdrawal' : 'Deposit';
+    return `\`${day}\` **${e.member}** ${what} ${money(Math.abs(e.amount))}${e.note ? ` — ${e.note}` : ''}`;
+  }
+  if (e.type === 'stake') {
+    return `\`${day}\` **${e.member}** Staked ${money(e.stake)} (bet ${e.betId})`;
+  }
+  return (
+    `\`${day}\` **${e.member}** ${e.outcome} ${money(e.stake)} → ` +
+    `${money(e.returned)} (${signedMoney(e.pnl)})`
+  );
+}
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const member =
+    interaction.options.getString('member') || memberForUser(guildId, interaction.user.id);
+  const from = parseDateOption(interaction, 'from');
+  const to = parseDateOption(interaction, 'to', { endOfDay: true });
+
+  const entries = listEntries(guildId, { member, from, to }).reverse();
+  if (!entries.length) return 'No ledger entries match.';
+
+  const pages = Math.ceil(entries.length / PAGE_SIZE);
+  const page = Math.min(interaction.options.getInteger('page') || 1, pages);
+  const slice = entries.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  return (
+    `**Ledger${member ? ` — ${member.toUpperCase()}` : ''}** (page ${page}/${pages}, ` +
+    `${entries.length} entries)\n` +
+    slice.map(formatEntry).join('\n')
+  );
+}
+
+module.exports = { data, execute };
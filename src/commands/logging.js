@@ -0,0 +1,91 @@
+// src/commands/logging.js
+// /logging status | retry — the logging outbox (outbox.js): rows still waiting
+// per backend, rows parked because the backend rejected them, the last delivery
+// error and Sheets API usage; `retry` queues the parked rows again (admins
+// only). The outbox is shared by every server the bot is in.
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { outboxStatus, retryParked } = require('../outbox.js');
+const { getBackends } = require('../backends/index.js');
+const { describeAge } = require('../reminders.js');
+
+const data = new SlashCommandBuilder()
+  .setName('logging')
+  .setDescription('Bet log delivery')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((sub) =>
+    sub.setName('status').setDescription('Rows waiting to be written and the last error')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('retry').setDescription('Try the rows the backend rejected again')
+  );
+
+// Parked rows listed per backend; the rest are counted
+const PARKED_SHOWN = 5;
+
+function ago(iso) {
+  return iso ? `${describeAge(Date.now() - new Date(iso).getTime())} ago` : 'never';
+}
+
+function backendLine(b) {
+  const name = b.configured ? `**${b.name}**` : `**${b.name}** (no longer configured)`;
+  if (!b.depth) return `${name}: up to date`;
+  const retry = b.attempts ? ` · retrying (attempt ${b.attempts}): ${b.lastError}` : '';
+  return `${name}: ${b.depth} queued, oldest ${ago(b.oldestAt)}${retry}`;
+}
+
+// Errors can be long (API responses)
+function clip(text, max = 120) {
+  const oneLine = String(text ?? '').replace(/\s+/g, ' ');
+  return oneLine.length > max ? `${oneLine.slice(0, max - 1)}…` : oneLine;
+}
+
+function parkedLines(b) {
+  if (!b.parked.length) return [];
+  const lines = b.parked
+    .slice(-PARKED_SHOWN)
+    .map((e) => `- ${e.op} ${e.messageId || '—'} (${ago(e.parkedAt)}): ${clip(e.lastError)}`);
+  const more = b.parked.length - lines.length;
+  return [
+    `**${b.name}**: ${b.parked.length} parked, rejected by the backend ` +
+      '(`/logging retry` once fixed)',
+    ...(more ? [`- …and ${more} older`] : []),
+    ...lines,
+  ];
+}
+
+// Backends that count their API calls (sheets): calls made vs. saved by caching / batching
+function metricsLines() {
+  return getBackends()
+    .filter((b) => b.metrics)
+    .map((b) => {
+      const m = b.metrics();
+      return (
+        `**${b.name}** API calls since restart: ${m.calls} ` +
+        `(${m.saved} saved by caching / batching · ${m.rows} rows in ${m.batches} appends)`
+      );
+    });
+}
+
+async function execute(interaction) {
+  if (interaction.options.getSubcommand() === 'retry') {
+    const n = retryParked();
+    return n ? `Queued ${n} parked row${n === 1 ? '' : 's'} again.` : 'No parked rows.';
+  }
+
+  const status = outboxStatus();
+  const lines = [
+    `**Logging outbox** — ${status.depth} row${status.depth === 1 ? '' : 's'} waiting`,
+    ...status.backends.map(backendLine),
+    ...status.backends.flatMap(parkedLines),
+    `Delivered since restart: ${status.delivered} · last delivery ${ago(status.lastDeliveredAt)}`,
+    status.lastError
+      ? `Last error: ${status.lastError.backend} — ${status.lastError.message} ` +
+        `(${ago(status.lastError.at)})`
+      : 'Last error: none',
+    ...metricsLines(),
+  ];
+  return lines.join('\n');
+}
+
+module.exports = { data, execute };
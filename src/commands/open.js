@@ -0,0 +1,66 @@
+// src/commands/open.js
+// /open [member] — every bet and group proposal still unresolved, oldest
+// first, with how long it's been open and a jump link.
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getEmojis } = require('../guildConfig.js');
+const { getPolicy } = require('../policy.js');
+const { parseBetText } = require('../betParser.js');
+const { betUrl, placedAt, describeAge, openBets, openProposals } = require('../reminders.js');
+const { money, fitLines } = require('./format.js');
+
+const data = new SlashCommandBuilder()
+  .setName('open')
+  .setDescription('Bets and group proposals still waiting to be settled')
+  .addUserOption((o) => o.setName('member').setDescription('Only their bets (default: everyone)'));
+
+// "closes in 5h" under a voting deadline
+function deadlineText(guildId, bet, now) {
+  const { deadlineHours } = getPolicy(guildId);
+  if (!deadlineHours || !bet.group.proposedAt) return '';
+  const closes = new Date(bet.group.proposedAt).getTime() + deadlineHours * 3600 * 1000;
+  return ` · closes in ${describeAge(closes - now)}`;
+}
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const user = interaction.options.getUser('member');
+  const now = Date.now();
+
+  const bets = openBets(guildId).filter((o) => !user || o.bet.authorId === user.id);
+  const proposals = openProposals(guildId).filter((b) => !user || b.group.proposerId === user.id);
+
+  const staked = bets.reduce((sum, o) => sum + o.stake, 0);
+  const betLines = bets.map(
+    ({ bet, parsed, stake, placedAt: at }) =>
+      `**${parsed.initials || '?'}** ${parsed.market} · ${money(stake)} · ` +
+      `${describeAge(now - at)} · [jump](${betUrl(bet)})`
+  );
+
+  const { upvote, downvote } = getEmojis(guildId);
+  const proposalLines = proposals.map((b) => {
+    const market = parseBetText(b.content)?.market || 'proposal';
+    const votes = `${upvote} ${b.group.upvoters.length} ${downvote} ${b.group.downvoters.length}`;
+    return (
+      `${market} · ${votes} · ${describeAge(now - placedAt(b))}` +
+      `${deadlineText(guildId, b, now)} · [vote](${betUrl(b)})`
+    );
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(user ? `Still open: ${user.username}` : 'Still open')
+    .setColor(0xf1c40f)
+    .addFields(
+      {
+        name: `Bets (${bets.length} · ${money(staked)})`,
+        value: fitLines(betLines) || 'Nothing open.',
+      },
+      {
+        name: `Group proposals (${proposals.length})`,
+        value: fitLines(proposalLines) || 'None waiting on votes.',
+      }
+    );
+  return { embeds: [embed] };
+}
+
+module.exports = { data, execute };
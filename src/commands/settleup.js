@@ -0,0 +1,46 @@
+// src/commands/settleup.js
+// /settleup [mark_paid] — net every settled-but-unpaid group bet into the
+// fewest "A owes B $x" transfers. mark_paid clears them once money has moved
+// (treasurer role or Manage Server, permissions.js; recorded on each bet's
+// /history).
+
+const { SlashCommandBuilder } = require('discord.js');
+const {
+  outstandingBets,
+  outstandingBalances,
+  minimalTransfers,
+  markSettledUp,
+} = require('../splits.js');
+const { treasurerDenied } = require('../permissions.js');
+const { money } = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('settleup')
+  .setDescription('Who owes whom across outstanding group bets')
+  .addBooleanOption((o) =>
+    o.setName('mark_paid').setDescription('Mark these transfers as paid and clear them')
+  );
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const count = outstandingBets(guildId).length;
+  if (!count) return 'Nothing outstanding — everyone is square.';
+
+  const transfers = minimalTransfers(outstandingBalances(guildId));
+  const lines = transfers.length
+    ? transfers.map((t) => `<@${t.from}> owes <@${t.to}> **${money(t.amount)}**`)
+    : ['Everything nets out to zero.'];
+
+  let footer = `\n_${count} group bet${count === 1 ? '' : 's'} outstanding._`;
+  if (interaction.options.getBoolean('mark_paid')) {
+    const denied = await treasurerDenied(interaction.guild, interaction.user, 'mark debts paid');
+    if (denied) throw new CommandError(denied);
+    markSettledUp(guildId, { actorId: interaction.user.id });
+    footer = `\n_Marked ${count} group bet${count === 1 ? '' : 's'} as paid._`;
+  }
+
+  return `**Settle up**\n${lines.join('\n')}${footer}`;
+}
+
+module.exports = { data, execute };
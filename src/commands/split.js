@@ -0,0 +1,78 @@
+// src/commands/split.js
+// /split <bet> [shares] — show or override how a group bet is divided.
+// shares: mentions with optional weights or percentages, e.g. "@A 2 @B 1" or "@A 60% @B 40%".
+// Anyone mentioned without a weight gets 1. Changing shares takes the treasurer
+// role or Manage Server (permissions.js) and goes on the bet's /history.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { fetchMessageByRef } = require('../channels.js');
+const { getBet, getGroupBet, addHistory } = require('../bets.js');
+const { getSplit, setEqualSplit, setCustomSplit } = require('../splits.js');
+const { treasurerDenied } = require('../permissions.js');
+const { CommandError } = require('./errors.js');
+
+const data = new SlashCommandBuilder()
+  .setName('split')
+  .setDescription('Show or set how a group bet is split')
+  .addStringOption((o) =>
+    o.setName('bet').setDescription('Message link or ID of the group bet').setRequired(true)
+  )
+  .addStringOption((o) =>
+    o.setName('shares').setDescription('e.g. "@A 2 @B 1" or "@A 60% @B 40%" (omit to show)')
+  );
+
+function parseShares(text) {
+  const weights = {};
+  const re = /<@!?(\d+)>\s*([0-9]+(?:\.[0-9]+)?)?\s*%?/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    weights[m[1]] = m[2] != null ? Number(m[2]) : 1;
+  }
+  return weights;
+}
+
+function formatSplit(split) {
+  return Object.entries(split.shares)
+    .map(([id, share]) => `<@${id}> ${(share * 100).toFixed(1)}%`)
+    .join('\n');
+}
+
+async function execute(interaction) {
+  const ref = interaction.options.getString('bet', true);
+  const msg = await fetchMessageByRef(interaction.guild, ref);
+  if (!msg || !getGroupBet(msg.id)) {
+    throw new CommandError('That message is not a tracked group bet.');
+  }
+
+  const sharesText = interaction.options.getString('shares');
+  if (!sharesText) {
+    const split = getSplit(msg.id) || setEqualSplit(msg.id);
+    return `**Split${split.custom ? ' (custom)' : ''}**\n${formatSplit(split)}`;
+  }
+
+  const denied = await treasurerDenied(interaction.guild, interaction.user, 'change splits');
+  if (denied) throw new CommandError(denied);
+  if (getBet(msg.id).group.settlement) {
+    throw new CommandError('That group bet is already settled; its split is locked.');
+  }
+
+  const weights = parseShares(sharesText);
+  if (!Object.keys(weights).length) {
+    throw new CommandError('Mention at least one member, e.g. `@A 2 @B 1`.');
+  }
+  if (Object.values(weights).some((w) => !(w > 0))) {
+    throw new CommandError('Every share must be greater than 0.');
+  }
+
+  const before = getSplit(msg.id) || setEqualSplit(msg.id);
+  const split = setCustomSplit(msg.id, weights);
+  addHistory(msg.id, {
+    actorId: interaction.user.id,
+    action: 'split changed',
+    from: formatSplit(before).replace(/\n/g, ', '),
+    to: formatSplit(split).replace(/\n/g, ', '),
+  });
+  return `**Split updated**\n${formatSplit(split)}`;
+}
+
+module.exports = { data, execute };
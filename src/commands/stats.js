@@ -0,0 +1,89 @@
+// src/commands/stats.js
+// /stats [member] [period] — win rate, ROI, units, average odds, streaks and a
+// market keyword breakdown for a member (or everyone), as an embed.
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { memberForUser } = require('../ledger.js');
+const { computeStats } = require('../stats.js');
+const {
+  PERIOD_CHOICES,
+  money,
+  signedMoney,
+  pct,
+  fmtOdds,
+  parsePeriodOption,
+} = require('./format.js');
+const { CommandError } = require('./errors.js');
+
+// How many market keywords to list
+const MARKET_ROWS = 6;
+
+const data = new SlashCommandBuilder()
+  .setName('stats')
+  .setDescription('Betting stats for a member (or everyone)')
+  .addStringOption((o) =>
+    o.setName('member').setDescription('Initials or bettor name, "all" for everyone (default: you)')
+  )
+  .addStringOption((o) =>
+    o.setName('period').setDescription('Time window (default: all time)')
+      .addChoices(...PERIOD_CHOICES)
+  );
+
+function units(n) {
+  return `${n > 0 ? '+' : ''}${n.toFixed(1)}u`;
+}
+
+function streakText(current) {
+  if (!current.result) return '—';
+  return `${current.count}${current.result}`;
+}
+
+function buildEmbed(stats, label) {
+  // W-L, plus break-even cash-outs when there are any
+  const even = stats.bets - stats.won - stats.lost;
+  const record = `${stats.won}-${stats.lost}${even ? `-${even}` : ''}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${stats.memberName}${stats.member ? ` (${stats.member})` : ''} — ${label}`)
+    .setColor(stats.pnl >= 0 ? 0x2ecc71 : 0xe74c3c)
+    .addFields(
+      { name: 'Record', value: `${record} (${stats.bets} settled)`, inline: true },
+      { name: 'Win rate', value: pct(stats.winRate).replace('+', ''), inline: true },
+      { name: 'P&L', value: signedMoney(stats.pnl), inline: true },
+      { name: 'Staked', value: money(stats.staked), inline: true },
+      { name: 'ROI', value: pct(stats.roi), inline: true },
+      { name: 'Units', value: units(stats.units), inline: true },
+      { name: 'Avg odds', value: fmtOdds(stats.avgOdds), inline: true },
+      {
+        name: 'Streaks',
+        value:
+          `Best ${stats.longestWin}W · Worst ${stats.longestLoss}L · ` +
+          `Now ${streakText(stats.current)}`,
+        inline: true,
+      }
+    );
+
+  if (stats.markets.length) {
+    const rows = stats.markets
+      .slice(0, MARKET_ROWS)
+      .map((m) => `**${m.keyword}** ${m.won}-${m.lost} · ${signedMoney(m.pnl)} · ROI ${pct(m.roi)}`);
+    embed.addFields({ name: 'By market', value: rows.join('\n') });
+  }
+  return embed;
+}
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const option = interaction.options.getString('member')?.trim();
+  const everyone = option?.toLowerCase() === 'all';
+  const member = everyone ? null : option || memberForUser(guildId, interaction.user.id);
+  const { from, to, label } = parsePeriodOption(interaction);
+
+  const stats = computeStats(guildId, { member, from, to });
+  if (!stats.bets) {
+    throw new CommandError(`No settled bets${member ? ` for \`${member}\`` : ''} (${label}).`);
+  }
+  return { embeds: [buildEmbed(stats, label)] };
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,98 @@
+// src/commands/voting.js
+// /voting show | set | reset — per-guild group bet voting policy (admins only for set/reset).
+// The command itself is open to everyone so members can see the rules; set and
+// reset check Manage Server here.
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getPolicy, setPolicy, resetPolicy, describePolicy } = require('../policy.js');
+const { CommandError } = require('./errors.js');
+
+const MODES = [
+  { name: 'count', value: 'count' },
+  { name: 'percent of eligible', value: 'percent' },
+];
+
+const data = new SlashCommandBuilder()
+  .setName('voting')
+  .setDescription('Group bet voting rules')
+  .addSubcommand((sub) => sub.setName('show').setDescription('Show the current rules'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('set')
+      .setDescription('Change the rules (only the options you give are changed)')
+      .addStringOption((o) =>
+        o.setName('pass_mode').setDescription('How the pass rule is measured').addChoices(...MODES)
+      )
+      .addNumberOption((o) =>
+        o.setName('pass_value').setDescription('For votes (or %) needed to pass').setMinValue(1)
+      )
+      .addStringOption((o) =>
+        o.setName('fail_mode').setDescription('How the reject rule is measured').addChoices(...MODES)
+      )
+      .addNumberOption((o) =>
+        o.setName('fail_value').setDescription('Against votes (or %) needed to reject').setMinValue(1)
+      )
+      .addBooleanOption((o) =>
+        o.setName('proposer_counts').setDescription("Proposer's implicit 👍 counts as a For vote")
+      )
+      .addRoleOption((o) =>
+        o.setName('eligible_role').setDescription('Role whose members are eligible (percent rules)')
+      )
+      .addBooleanOption((o) =>
+        o.setName('clear_eligible_role').setDescription('Make everyone eligible again')
+      )
+      .addIntegerOption((o) =>
+        o.setName('min_turnout').setDescription('Total votes needed before anything is decided')
+          .setMinValue(0)
+      )
+      .addNumberOption((o) =>
+        o.setName('deadline_hours').setDescription('Close voting after this many hours (0 = none)')
+          .setMinValue(0)
+      )
+      .addStringOption((o) =>
+        o.setName('deadline_action').setDescription('What happens to undecided proposals at the deadline')
+          .addChoices(
+            { name: 'expire', value: 'expire' },
+            { name: 'auto-fail', value: 'fail' },
+            { name: 'auto-pass', value: 'pass' }
+          )
+      )
+  )
+  .addSubcommand((sub) => sub.setName('reset').setDescription('Back to the default rules'));
+
+async function execute(interaction) {
+  const guildId = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'show') return `**Voting rules**\n${describePolicy(getPolicy(guildId))}`;
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    throw new CommandError('Only members who can manage the server can change the voting rules.');
+  }
+  if (sub === 'reset') return `**Voting rules reset**\n${describePolicy(resetPolicy(guildId))}`;
+
+  const o = interaction.options;
+  const patch = {};
+  if (o.getString('pass_mode') != null) patch.passMode = o.getString('pass_mode');
+  if (o.getNumber('pass_value') != null) patch.passValue = o.getNumber('pass_value');
+  if (o.getString('fail_mode') != null) patch.failMode = o.getString('fail_mode');
+  if (o.getNumber('fail_value') != null) patch.failValue = o.getNumber('fail_value');
+  if (o.getBoolean('proposer_counts') != null) patch.proposerCounts = o.getBoolean('proposer_counts');
+  if (o.getRole('eligible_role')) patch.eligibleRoleId = o.getRole('eligible_role').id;
+  if (o.getBoolean('clear_eligible_role')) patch.eligibleRoleId = null;
+  if (o.getInteger('min_turnout') != null) patch.minTurnout = o.getInteger('min_turnout');
+  if (o.getNumber('deadline_hours') != null) patch.deadlineHours = o.getNumber('deadline_hours') || null;
+  if (o.getString('deadline_action') != null) patch.deadlineAction = o.getString('deadline_action');
+
+  if (!Object.keys(patch).length) throw new CommandError('Give at least one option to change.');
+
+  const next = { ...getPolicy(guildId), ...patch };
+  for (const [mode, value] of [[next.passMode, next.passValue], [next.failMode, next.failValue]]) {
+    if (mode === 'percent' && value > 100) {
+      throw new CommandError('Percent rules must be between 1 and 100.');
+    }
+  }
+
+  return `**Voting rules updated**\n${describePolicy(setPolicy(guildId, patch))}`;
+}
+
+module.exports = { data, execute };
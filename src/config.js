@@ -0,0 +1,41 @@
+// src/config.js
+// Default channel + emoji config. Each guild can override these with /config
+// (guildConfig.js); these apply until it does.
+
+// === Your original ID-based config ===
+const SOURCE_CHANNEL_ID = '1423456145191997481';   // input
+const TARGET_CHANNEL_ID = '1423455458760327261';   // output
+const SUCCESS_REACTION = '✅';
+const FAIL_REACTION = '❌';
+
+// === Name-based config (from this session) — used as fallback ===
+const INPUT_CHANNEL_NAME = 'bet-tracking';
+const OUTPUT_CHANNEL_NAME = 'bet-discusion';
+
+// Emojis (new cash-out / void flow)
+const YELLOW_FLAG = '🟡';
+const BLACK_CIRCLE = '⚫';
+// Considered "resolved" so we ignore cash-out on bets already closed
+const RESOLVED_EMOJIS = new Set(['✅', '✔️', '☑️', '❌', '✖️', '🟥', '🟩']);
+
+// Default spreadsheet tab (new guilds get their own, see guildConfig.js)
+const SHEET_TAB = 'Group';
+
+// NEW: Voting emojis (from your original file)
+const UPVOTE = '👍';
+const DOWNVOTE = '👎';
+
+module.exports = {
+  SOURCE_CHANNEL_ID,
+  TARGET_CHANNEL_ID,
+  SUCCESS_REACTION,
+  FAIL_REACTION,
+  INPUT_CHANNEL_NAME,
+  OUTPUT_CHANNEL_NAME,
+  YELLOW_FLAG,
+  BLACK_CIRCLE,
+  RESOLVED_EMOJIS,
+  SHEET_TAB,
+  UPVOTE,
+  DOWNVOTE,
+};
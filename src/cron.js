@@ -0,0 +1,70 @@
+// src/cron.js
+// Minimal 5-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC. Supports `*`, numbers, lists (1,15), ranges (1-5) and
+// steps (*/15, 0-30/10). Day-of-week is 0-6 (Sunday = 0, 7 also means Sunday).
+//
+//   "0 9 * * 1"   Mondays 09:00 UTC
+//   "0 9 1 * *"   1st of every month 09:00 UTC
+//
+// As in standard cron, if both day-of-month and day-of-week are restricted a
+// day matching either one runs.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`bad ${name} \`${part}\``);
+
+    const step = m[4] ? Number(m[4]) : 1;
+    const from = m[1] === '*' ? min : Number(m[2]);
+    let to = from;
+    if (m[1] === '*') to = max;
+    else if (m[3] != null) to = Number(m[3]);
+    else if (m[4]) to = max; // "5/10": from 5, every 10
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`${name} \`${part}\` is out of range (${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// "0 9 * * 1" -> parsed schedule; throws Error with a readable message
+function parseCron(expr) {
+  const parts = String(expr ?? '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('a schedule needs 5 fields: minute hour day month weekday');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+// Does the schedule fire in the (UTC) minute containing `date`?
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getUTCMinutes()) || !cron.hours.has(date.getUTCHours())) return false;
+  if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+module.exports = { parseCron, cronMatches };
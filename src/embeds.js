@@ -0,0 +1,158 @@
+// src/embeds.js
+// Embeds for what the bot forwards to the output channel: group bet proposals
+// (with Vote For / Against buttons, voting.js) and settlements (settlement.js).
+// The title links back to the bet, the bet's text sits in the description with
+// its parsed fields (bettor, market, odds, stake, returns) underneath, and the
+// colour says where it stands.
+//
+// Forwards from before embeds are plain text; strikeForwarded / rewordForwarded
+// handle both.
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { parseBetText } = require('./betParser.js');
+const { fmtMoney } = require('./betText.js');
+
+// Proposal statuses (bets.js) and settlement events (settlement.js)
+const COLORS = {
+  open: 0x3498db,
+  passed: 0x2ecc71,
+  rejected: 0xe74c3c,
+  expired: 0x95a5a6,
+  SUCCESS: 0x2ecc71,
+  FAILURE: 0xe74c3c,
+  CASH_OUT: 0xf1c40f,
+  PARTIAL_CASH_OUT: 0xe67e22,
+  VOID: 0x2c3e50,
+  closed: 0x95a5a6, // reversed / cancelled / overturned
+};
+
+// Names of the fields betFields adds (the last one is relabelled per message)
+const BET_FIELDS = [
+  'Bettor', 'Market', 'Odds', 'Stake',
+  'Returns', 'Returned', 'To return', 'Cashed out',
+];
+
+// Embed limits
+const TITLE_LIMIT = 256;
+const FIELD_LIMIT = 1024;
+
+const VOTE_BUTTON = /^vote:(for|against):(\d+)$/;
+
+function fmtOdds(odds) {
+  if (odds == null) return 'evens';
+  return odds > 0 ? `+${odds}` : `${odds}`;
+}
+
+function clip(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// Inline fields for a bet's text (none if it doesn't parse). `stake` / `returns`
+// override the parsed amounts; `returnsLabel` renames the last field.
+function betFields(text, { stake, returns, returnsLabel = 'Returns' } = {}) {
+  const parsed = parseBetText(text || '');
+  if (!parsed) return [];
+  const bettor = [parsed.bettor, parsed.initials && `(${parsed.initials})`].filter(Boolean);
+  return [
+    { name: 'Bettor', value: bettor.join(' ') || '—' },
+    { name: 'Market', value: clip(parsed.market || '—', FIELD_LIMIT) },
+    { name: 'Odds', value: fmtOdds(parsed.odds) },
+    { name: 'Stake', value: `$${fmtMoney(stake ?? parsed.stake)}` },
+    { name: returnsLabel, value: `$${fmtMoney(returns ?? parsed.returns)}` },
+  ].map((field) => ({ ...field, inline: true }));
+}
+
+// A forwarded bet. `text` is the bet text as shown (settlements reword it),
+// `note` a line above it, `fields` go after the bet's own; the rest is for betFields.
+function betEmbed(msg, options) {
+  const { title, color, author, note, text = msg.content, fields = [], ...amounts } = options;
+  const embed = new EmbedBuilder()
+    .setTitle(clip(title, TITLE_LIMIT))
+    .setURL(msg.url)
+    .setColor(color)
+    .addFields(...betFields(msg.content, amounts), ...fields);
+
+  const description = [note, text].filter(Boolean).join('\n\n');
+  if (description) embed.setDescription(clip(description, 4096));
+  if (author) {
+    embed.setAuthor({ name: author.tag ?? author.username, iconURL: author.displayAvatarURL?.() });
+  }
+  return embed;
+}
+
+// ---------- Vote buttons ----------
+
+// Vote For / Against under a forwarded proposal (`messageId`: the bet message)
+function voteButtons(messageId, { disabled = false } = {}) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`vote:for:${messageId}`)
+      .setLabel('Vote For')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(`vote:against:${messageId}`)
+      .setLabel('Vote Against')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled)
+  );
+}
+
+// -> { up, messageId } for a vote button's custom id, else null
+function parseVoteButton(customId) {
+  const m = VOTE_BUTTON.exec(customId || '');
+  return m ? { up: m[1] === 'for', messageId: m[2] } : null;
+}
+
+// ---------- Editing forwards ----------
+
+// Strike a forward through with `label` after it ("**Reversed**"): the embed's
+// title (its buttons go), or the first line of a plain-text forward
+async function strikeForwarded(out, label) {
+  const [embed] = out.embeds;
+  if (embed) {
+    const struck = EmbedBuilder.from(embed)
+      .setTitle(clip(`~~${embed.title}~~ — ${label}`, TITLE_LIMIT))
+      .setColor(COLORS.closed);
+    await out.edit({ embeds: [struck], components: [] });
+    return;
+  }
+  const [first, ...rest] = out.content.split('\n');
+  await out.edit([`~~${first}~~ — ${label}`, ...rest].join('\n'));
+}
+
+// Bet text edited: swap the new text in (`reword` gives the wording the forward
+// used) and refresh the bet fields that showed the old text's values (amounts
+// a settlement worked out, like a cash-out, are left as they are). False if
+// the forward doesn't quote the old text.
+async function rewordForwarded(out, before, after, reword) {
+  const [embed] = out.embeds;
+  const shown = embed ? embed.description || '' : out.content;
+  if (!shown.includes(reword(before))) return false;
+
+  const text = shown.split(reword(before)).join(reword(after));
+  if (!embed) {
+    await out.edit(text);
+    return true;
+  }
+
+  const returnsLabel = embed.fields.find((f) => BET_FIELDS.slice(4).includes(f.name))?.name;
+  const old = betFields(before, { returnsLabel });
+  const next = betFields(after, { returnsLabel });
+  const fields = embed.fields.map((field) => {
+    const i = old.findIndex((f) => f.name === field.name && f.value === field.value);
+    return i === -1 || !next[i] ? field : next[i];
+  });
+  const updated = EmbedBuilder.from(embed).setDescription(clip(text, 4096)).setFields(...fields);
+  await out.edit({ embeds: [updated] });
+  return true;
+}
+
+module.exports = {
+  COLORS,
+  betEmbed,
+  voteButtons,
+  parseVoteButton,
+  strikeForwarded,
+  rewordForwarded,
+};
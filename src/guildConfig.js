@@ -0,0 +1,228 @@
+// src/guildConfig.js
+// Per-guild channels, emojis and sheet settings (set with /config), so pointing
+// the bot at a new server doesn't need a code change.
+// ----------------------------------------------------
+// Config shape (stored per guild id, unset fields fall back to the config.js
+// defaults / env vars):
+// {
+//   inputChannelId: string | null,   // where bets are posted
+//   outputChannelId: string | null,  // where results are forwarded
+//   emojis: { success, fail, cashOut, void, upvote, downvote },
+//   spreadsheetId: string | null,    // default: GOOGLE_SHEETS_SPREADSHEET_ID
+//   sheetTab: string,                // tab this guild's rows go to
+//   loggingStartIso: string | null,  // default: LOGGING_START_ISO
+//   sheetRollover: "week" | "month" | null, // start a new sheet tab every period
+//   recaps: { weekly: cron | null, monthly: cron | null }, // recap post times (cron.js, UTC)
+//   reminders: {                     // nudge bettors about bets left open (reminders.js)
+//     afterHours: number | null,     // open this long -> remind (null = never)
+//     mode: "dm" | "channel",        // DM the bettor, or ping them in the output channel
+//     enabledAt: ISO string | null,  // when they were turned on: older bets aren't reminded
+//   },
+//   permissions: {                   // who may do what (permissions.js); null = anyone
+//     bookkeeperRoleId: string | null, // individual bets: only the bettor or this role settles
+//     treasurerRoleId: string | null,  // group bets: only this role settles (and splits)
+//     voterRoleId: string | null,      // group bets: only this role's votes count
+//   },
+//   archivedAt?: ISO string,         // set while the bot isn't in the guild
+// }
+//
+// Channels are resolved by ID first, then by the default channel name, so an
+// unconfigured guild behaves exactly like the original hardcoded setup.
+//
+// Every guild gets its own sheet tab when the bot first sees it (setupGuild),
+// so servers sharing the default spreadsheet never mix rows. The original
+// server (the one with the default input channel) keeps the "Group" tab.
+
+const { openStore } = require('./store.js');
+const {
+  SOURCE_CHANNEL_ID,
+  TARGET_CHANNEL_ID,
+  SUCCESS_REACTION,
+  FAIL_REACTION,
+  YELLOW_FLAG,
+  BLACK_CIRCLE,
+  RESOLVED_EMOJIS,
+  SHEET_TAB,
+  UPVOTE,
+  DOWNVOTE,
+} = require('./config.js');
+
+const store = openStore('guild-config');
+
+const DEFAULT_EMOJIS = {
+  success: SUCCESS_REACTION,
+  fail: FAIL_REACTION,
+  cashOut: YELLOW_FLAG,
+  void: BLACK_CIRCLE,
+  upvote: UPVOTE,
+  downvote: DOWNVOTE,
+};
+
+// Weekly recap Mondays 09:00 UTC, monthly on the 1st 09:00 UTC
+const DEFAULT_RECAPS = {
+  weekly: '0 9 * * 1',
+  monthly: '0 9 1 * *',
+};
+
+// Reminders are opt-in (/config reminders); DM is the default way
+const DEFAULT_REMINDERS = {
+  afterHours: null,
+  mode: 'dm',
+  enabledAt: null,
+};
+
+// Anyone can settle and vote until roles are set
+const DEFAULT_PERMISSIONS = {
+  bookkeeperRoleId: null,
+  treasurerRoleId: null,
+  voterRoleId: null,
+};
+
+const DEFAULT_CONFIG = {
+  inputChannelId: SOURCE_CHANNEL_ID,
+  outputChannelId: TARGET_CHANNEL_ID,
+  emojis: DEFAULT_EMOJIS,
+  spreadsheetId: null,
+  sheetTab: SHEET_TAB,
+  loggingStartIso: null,
+  sheetRollover: null,
+  recaps: DEFAULT_RECAPS,
+  reminders: DEFAULT_REMINDERS,
+  permissions: DEFAULT_PERMISSIONS,
+};
+
+function getConfig(guildId) {
+  const saved = store.get(guildId) || {};
+  return {
+    ...DEFAULT_CONFIG,
+    ...saved,
+    emojis: { ...DEFAULT_EMOJIS, ...(saved.emojis || {}) },
+    recaps: { ...DEFAULT_RECAPS, ...(saved.recaps || {}) },
+    reminders: { ...DEFAULT_REMINDERS, ...(saved.reminders || {}) },
+    permissions: { ...DEFAULT_PERMISSIONS, ...(saved.permissions || {}) },
+  };
+}
+
+// `patch.emojis` / `patch.recaps` / `patch.reminders` / `patch.permissions` are
+// merged, so setting one leaves the others alone
+function setConfig(guildId, patch) {
+  const saved = store.get(guildId) || {};
+  const next = { ...saved, ...patch };
+  if (patch.emojis) next.emojis = { ...(saved.emojis || {}), ...patch.emojis };
+  if (patch.recaps) next.recaps = { ...(saved.recaps || {}), ...patch.recaps };
+  if (patch.reminders) {
+    next.reminders = { ...(saved.reminders || {}), ...patch.reminders };
+    // Turned on (or back on): only bets placed from now get reminders
+    const wasOn = !!getConfig(guildId).reminders.afterHours;
+    if (next.reminders.afterHours && !wasOn) next.reminders.enabledAt = new Date().toISOString();
+  }
+  if (patch.permissions) {
+    next.permissions = { ...(saved.permissions || {}), ...patch.permissions };
+  }
+  store.set(guildId, next);
+  return getConfig(guildId);
+}
+
+// Back to the defaults, except the sheet tab: that stays so rows don't start
+// landing in another guild's tab
+function resetConfig(guildId) {
+  const { sheetTab } = store.get(guildId) || {};
+  store.delete(guildId);
+  if (sheetTab) store.set(guildId, { sheetTab });
+  return getConfig(guildId);
+}
+
+// ---------- Guild lifecycle ----------
+
+// Sheet tab names can't contain []*?:/\ (apostrophes are dropped too, they'd
+// need escaping in ranges) and are capped at 100 characters
+function tabNameFor(guild) {
+  const name = String(guild.name || '').replace(/[[\]*?:/\\']/g, '').trim().slice(0, 60);
+  return `${SHEET_TAB} - ${name || 'Server'} (${guild.id})`;
+}
+
+// Bot is in a guild (joined, or already there at startup): restore an archived
+// config, or give a guild we've never set up its own sheet tab.
+// Returns "restored" | "created" | "existing".
+function setupGuild(guild) {
+  const saved = store.get(guild.id);
+  if (saved?.archivedAt) {
+    const { archivedAt, ...rest } = saved;
+    store.set(guild.id, rest);
+    return 'restored';
+  }
+  if (saved?.sheetTab) return 'existing';
+
+  const home = guild.channels?.cache?.has(SOURCE_CHANNEL_ID);
+  store.set(guild.id, { ...(saved || {}), sheetTab: home ? SHEET_TAB : tabNameFor(guild) });
+  return 'created';
+}
+
+// Bot removed from a guild: keep its config (and everything keyed by the
+// guild) so re-adding the bot picks up where it left off
+function archiveGuild(guildId) {
+  const saved = store.get(guildId) || {};
+  store.set(guildId, { ...saved, archivedAt: new Date().toISOString() });
+}
+
+function isArchived(guildId) {
+  return !!store.get(guildId)?.archivedAt;
+}
+
+function getEmojis(guildId) {
+  return getConfig(guildId).emojis;
+}
+
+// Reactions that mean a bet is already closed: the built-in set plus whatever
+// this guild uses for ✅/❌
+function resolvedEmojis(guildId) {
+  const { success, fail } = getEmojis(guildId);
+  return new Set([...RESOLVED_EMOJIS, success, fail]);
+}
+
+function recapTime(cron) {
+  return cron ? `\`${cron}\` (UTC)` : 'off';
+}
+
+function reminderTime({ afterHours, mode }) {
+  if (!afterHours) return 'off';
+  return `after ${afterHours}h open, ${mode === 'channel' ? 'in the output channel' : 'by DM'}`;
+}
+
+function roleText(roleId, fallback, prefix = '') {
+  return roleId ? `${prefix}<@&${roleId}>` : fallback;
+}
+
+function describeConfig(config) {
+  const e = config.emojis;
+  const p = config.permissions;
+  return [
+    `Input channel: <#${config.inputChannelId}>`,
+    `Output channel: <#${config.outputChannelId}>`,
+    `Emojis: won ${e.success} · lost ${e.fail} · cash-out ${e.cashOut} · void ${e.void} · ` +
+      `for ${e.upvote} · against ${e.downvote}`,
+    `Spreadsheet: ${config.spreadsheetId ? `\`${config.spreadsheetId}\`` : 'default (env)'}`,
+    `Sheet tab: ${config.sheetTab}`,
+    `Logging from: ${config.loggingStartIso || 'default (env)'}`,
+    `New sheet tab every: ${config.sheetRollover || 'never'}`,
+    `Weekly recap: ${recapTime(config.recaps.weekly)}`,
+    `Monthly recap: ${recapTime(config.recaps.monthly)}`,
+    `Open bet reminders: ${reminderTime(config.reminders)}`,
+    `Settles individual bets: ${roleText(p.bookkeeperRoleId, 'anyone', 'the bettor or ')}`,
+    `Settles group bets: ${roleText(p.treasurerRoleId, 'anyone')}`,
+    `Votes on group bets: ${roleText(p.voterRoleId, 'anyone')}`,
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfig,
+  setConfig,
+  resetConfig,
+  setupGuild,
+  archiveGuild,
+  isArchived,
+  getEmojis,
+  resolvedEmojis,
+  describeConfig,
+};
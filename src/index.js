@@ -2,36 +2,71 @@
 require('dotenv').config();
 const { Client, IntentsBitField, Partials, Events } = require('discord.js');
 
-// === Your original ID-based config ===
-const SOURCE_CHANNEL_ID = '1423456145191997481';   // input
-const TARGET_CHANNEL_ID = '1423455458760327261';   // output
-const SUCCESS_REACTION = '✅';
-const FAIL_REACTION = '❌';
-
-// === Name-based config (from this session) — used as fallback ===
-const INPUT_CHANNEL_NAME = 'bet-tracking';
-const OUTPUT_CHANNEL_NAME = 'bet-discusion';
-
-// Emojis (new cash-out / void flow)
-const YELLOW_FLAG = '🟡';
-const BLACK_CIRCLE = '⚫';
-// Considered "resolved" so we ignore cash-out on bets already closed
-const RESOLVED_EMOJIS = new Set(['✅', '✔️', '☑️', '❌', '✖️', '🟥', '🟩']);
-
-// NEW: Voting emojis (from your original file)
-const UPVOTE = '👍';
-const DOWNVOTE = '👎';
-
-// track messages we've already forwarded so we don't process twice (for ✅/❌ flow)
-const processed = new Set();
-
-// Track group bet proposals and votes
-// key = source message id
-// value = { proposerId: string, upvoters: Set<string>, downvoters: Set<string>, proposalForwarded: boolean }
-const groupBets = new Map();
-
-// Import logging helpers (spreadsheet logging)
-const { logCashOut, logVoid, logSuccess, logFailure } = require('./logging.js');
+// Channels + emojis are per guild (guildConfig.js, set with /config); the
+// config.js constants are the defaults
+const { getEmojis, setupGuild, archiveGuild } = require('./guildConfig.js');
+const {
+  isInputChannel,
+  isOutputChannel,
+  getOutputChannel,
+  getInputChannel,
+} = require('./channels.js');
+const {
+  isBetText,
+  hasGB,
+  isGroupBetMessage,
+  parseBetMessage,
+  parseDollarOnlyMessage,
+  parsePartialCashOut,
+  parseLegReply,
+} = require('./betText.js');
+const { parseBetText } = require('./betParser.js');
+
+// How many recent input-channel messages to rescan for missed votes on startup
+const REHYDRATE_SCAN_LIMIT = Number(process.env.REHYDRATE_SCAN_LIMIT) || 100;
+
+// How often to check group bet proposals against their voting deadline
+const DEADLINE_CHECK_MS = 60 * 1000;
+
+// Group bet proposals, votes, resolved flags and output message ids now live in
+// a durable ledger (see bets.js) instead of in-memory Map/Set, so a redeploy
+// doesn't forget who voted or forward "Bet Succeeded" twice.
+const {
+  getBet,
+  getGroupBet,
+  ensureGroupBet,
+  setGroupBet,
+  getResolved,
+  findBetByReply,
+} = require('./bets.js');
+const {
+  proposeGroupBet,
+  handleVote,
+  handleVoteRemoved,
+  closeExpiredProposals,
+} = require('./voting.js');
+const { tally } = require('./policy.js');
+const {
+  settleDenied,
+  voteDenied,
+  refuseReaction,
+  refuseReply,
+  refuseRemoval,
+} = require('./permissions.js');
+const {
+  settleBet,
+  settleLeg,
+  cashOutBet,
+  cashOutPartial,
+  reverseSettlement,
+  reversePartialCashOut,
+  applyBetEdit,
+  cancelBet,
+  recordBetPlaced,
+} = require('./settlement.js');
+const { registerCommands, handleInteraction } = require('./commands/index.js');
+const { startScheduler } = require('./scheduler.js');
+const { startOutbox } = require('./outbox.js');
 
 const client = new Client({
   intents: [
@@ -44,119 +79,135 @@ const client = new Client({
   partials: [Partials.Message, Partials.Channel, Partials.Reaction],
 });
 
-client.once(Events.ClientReady, (c) => {
+client.once(Events.ClientReady, async (c) => {
   console.log(`${c.user.tag} is online.`);
+
+  for (const guild of c.guilds.cache.values()) {
+    await startGuild(guild);
+  }
+
+  // Expire (or auto-pass / auto-fail) proposals past the guild's voting deadline
+  setInterval(() => {
+    closeExpiredProposals(c).catch((err) => console.error('Deadline check error:', err));
+  }, DEADLINE_CHECK_MS);
+
+  // Weekly / monthly recaps, sheet tab rollover and open bet reminders
+  startScheduler(c);
+
+  // Log rows a previous run couldn't deliver
+  startOutbox();
 });
 
 // --------------------
-// Helpers (original)
+// Guild lifecycle: every guild gets its own config, sheet tab, ledger and
+// voting policy (all keyed by guild id), set up on startup / join
 // --------------------
-function hasExactReturns(text) {
-  return text.includes(' Returns ');
-}
 
-function extractReturnsAmount(text) {
-  const m = text.match(/ Returns \$\s*([0-9]+(?:\.[0-9]{1,2})?)/);
-  return m ? m[1] : null;
-}
+async function startGuild(guild) {
+  setupGuild(guild);
 
-function hasGB(text) {
-  return /\bgb\b/i.test(text);
-}
-
-function isGroupBetMessage(msg) {
-  const content = msg.content ?? '';
-  return (
-    (msg.channelId === SOURCE_CHANNEL_ID || msg.channel?.name === INPUT_CHANNEL_NAME) &&
-    hasExactReturns(content) &&
-    hasGB(content)
+  await registerCommands(guild).catch((err) =>
+    console.error(`Command registration error (${guild.name}):`, err)
   );
-}
 
-async function idsToUsernames(client, ids) {
-  const arr = Array.from(ids);
-  const names = await Promise.all(
-    arr.map(async (id) => {
-      try {
-        const u = await client.users.fetch(id);
-        return u.username;
-      } catch {
-        return 'Unknown';
-      }
-    })
+  // Catch up on 👍/👎 votes cast while we were offline
+  await rescanInputChannel(guild).catch((err) =>
+    console.error(`Rescan error (${guild.name}):`, err)
   );
-  return names;
 }
 
-// --------------------
-// Helpers (cash-out)
-// --------------------
-
-// A reply content that is exactly a $ amount: `$5`, `$6.5`, `$0`, with optional spaces after $
-function parseDollarOnlyMessage(content) {
-  const trimmed = content.trim();
-  const m = trimmed.match(/^\$\s*([0-9]+(?:\.[0-9]+)?)$/);
-  if (!m) return null;
-  return Number(m[1]);
-}
-
-// Extract stake from original bet message:
-// Prefer the last $ before the literal word "Returns", else smallest $ amount in the text
-function extractStakeFromText(text) {
-  const dollarRegex = /\$([0-9]+(?:\.[0-9]+)?)/g;
-  const allMatches = [];
-  let m;
-  while ((m = dollarRegex.exec(text)) !== null) {
-    allMatches.push({ value: Number(m[1]), index: m.index });
+// Added to a server (or re-added: its archived config is restored)
+client.on(Events.GuildCreate, async (guild) => {
+  try {
+    console.log(`Joined guild ${guild.name} (${guild.id}).`);
+    await startGuild(guild);
+  } catch (err) {
+    console.error('Guild setup error:', err);
   }
-  if (allMatches.length === 0) return null;
+});
 
-  const returnsIndex = text.indexOf('Returns');
-  if (returnsIndex !== -1) {
-    const beforeReturns = allMatches.filter((x) => x.index < returnsIndex);
-    if (beforeReturns.length > 0) {
-      return beforeReturns[beforeReturns.length - 1].value;
-    }
+// Removed from a server: archive its config; bets/ledger stay keyed by guild
+client.on(Events.GuildDelete, (guild) => {
+  try {
+    console.log(`Left guild ${guild.name ?? guild.id} (${guild.id}); config archived.`);
+    archiveGuild(guild.id);
+  } catch (err) {
+    console.error('Guild archive error:', err);
   }
-  return allMatches.reduce((min, x) => (x.value < min ? x.value : min), allMatches[0].value);
-}
+});
 
-// Always two decimals
-function fmtMoney(n) {
-  return Number(n).toFixed(2);
-}
+// --------------------
+// Startup rehydration
+// --------------------
 
-// Build your "link style" original bet block
-function buildOriginalBetLink(originalMessage) {
-  const authorTag = originalMessage.author?.tag ?? 'Unknown';
-  const content = originalMessage.content || '(no text)';
-  return `**${authorTag}**\n${content}\n<#${originalMessage.channel.id}>`;
-}
+// Walk recent group bets in the input channel and replay any 👍/👎 the ledger
+// hasn't seen (and any it has that were since removed). Proposals we have no
+// record of at all (e.g. first deploy with the ledger) are seeded silently so
+// old proposals don't get re-announced.
+async function rescanInputChannel(guild) {
+  const input = await getInputChannel(guild);
+  if (!input) return;
+
+  const recent = await input.messages.fetch({ limit: REHYDRATE_SCAN_LIMIT });
+
+  for (const msg of recent.values()) {
+    // Bot-authored bets only count if they were posted through /bet place
+    if (msg.author?.bot && !getBet(msg.id)) continue;
+    if (!isGroupBetMessage(msg)) continue;
+
+    const known = !!getGroupBet(msg.id);
+    const state = ensureGroupBet(msg);
+
+    const { upvote, downvote } = getEmojis(guild.id);
+    for (const emoji of [upvote, downvote]) {
+      const reaction = msg.reactions.cache.find((r) => r.emoji.name === emoji);
+      const users = reaction ? await reaction.users.fetch() : new Map();
+
+      if (known) {
+        const recorded = emoji === upvote ? state.upvoters : state.downvoters;
+        for (const id of recorded) {
+          // Button votes (voting.js) never had a reaction
+          if (users.has(id) || state.buttonVoters?.includes(id)) continue;
+          const user = await client.users.fetch(id).catch(() => null);
+          if (user) await handleVoteRemoved(msg, user, emoji);
+        }
+      }
 
-async function messageAppearsResolved(msg) {
-  try {
-    await msg.fetch();
-    for (const [, reaction] of msg.reactions.cache) {
-      const emojiName = reaction.emoji?.name;
-      if (emojiName && RESOLVED_EMOJIS.has(emojiName)) {
-        return true;
+      for (const user of users.values()) {
+        // Votes from members without the voter role (permissions.js) never counted
+        if (user.bot || (await voteDenied(guild, user))) continue;
+
+        if (known) {
+          await handleVote(msg, user, emoji);
+        } else if (
+          user.id !== state.proposerId &&
+          !state.upvoters.has(user.id) &&
+          !state.downvoters.has(user.id)
+        ) {
+          (emoji === upvote ? state.upvoters : state.downvoters).add(user.id);
+        }
       }
     }
-  } catch (_) {}
-  return false;
+
+    if (!known) {
+      const t = await tally(guild, state);
+      state.proposalForwarded = true;
+      state.status = t.passed ? 'passed' : t.failed ? 'rejected' : 'open';
+      setGroupBet(msg.id, state);
+    }
+  }
 }
 
-// Fetch output channel by ID first, then by name (fallback)
-async function getOutputChannel(guild) {
+// --------------------
+// (0) Slash commands (/bet ...)
+// --------------------
+client.on(Events.InteractionCreate, async (interaction) => {
   try {
-    const byId = await guild.channels.fetch(TARGET_CHANNEL_ID).catch(() => null);
-    if (byId && byId.isTextBased?.()) return byId;
-  } catch {}
-  const byName = guild.channels.cache.find(
-    (c) => c.name === OUTPUT_CHANNEL_NAME && c.isTextBased?.()
-  );
-  return byName || null;
-}
+    await handleInteraction(interaction);
+  } catch (err) {
+    console.error('Interaction error:', err);
+  }
+});
 
 // --------------------
 // (1) GROUP BET: proposal forward on message create (original behavior)
@@ -166,42 +217,7 @@ client.on(Events.MessageCreate, async (msg) => {
     if (msg.author?.bot) return;
     if (!isGroupBetMessage(msg)) return;
 
-    // Initialize tracking if needed
-    if (!groupBets.has(msg.id)) {
-      groupBets.set(msg.id, {
-        proposerId: msg.author.id,
-        upvoters: new Set(),     // other voters (excludes proposer)
-        downvoters: new Set(),   // other voters (excludes proposer)
-        proposalForwarded: false,
-      });
-    }
-
-    const state = groupBets.get(msg.id);
-
-    // Visually show the auto upvote (author's implicit vote)
-    try {
-      await msg.react(UPVOTE);
-    } catch {}
-
-    // Forward proposal to the output channel once
-    if (!state.proposalForwarded) {
-      const target = await getOutputChannel(msg.guild);
-      if (!target) return;
-
-      const files = [...msg.attachments.values()].map((a) => a.url);
-      const proposerName = msg.author.username;
-
-      await target.send({
-        content:
-          `**${proposerName}** proposed a group bet\n` +
-          `Requires **1 more** vote to pass\n` +
-          `${msg.content}\n${msg.url}`,
-        files,
-      });
-
-      state.proposalForwarded = true;
-      groupBets.set(msg.id, state);
-    }
+    await proposeGroupBet(msg);
   } catch (err) {
     console.error('Group bet forward error:', err);
   }
@@ -219,160 +235,135 @@ client.on(Events.MessageReactionAdd, async (reaction, user) => {
     if (msg.partial) await msg.fetch();
 
     const emoji = reaction.emoji.name;
+    const emojis = getEmojis(msg.guildId);
+    const isVote = emoji === emojis.upvote || emoji === emojis.downvote;
 
-    // Guard: If someone reacts in the OUTPUT channel with 👍/👎, tell them to vote in tracking channel
-    if (
-      (msg.channelId === TARGET_CHANNEL_ID || msg.channel?.name === OUTPUT_CHANNEL_NAME) &&
-      (emoji === UPVOTE || emoji === DOWNVOTE)
-    ) {
+    // Guard: If someone reacts in the OUTPUT channel with 👍/👎, point them at the
+    // proposal's vote buttons (or the tracking channel)
+    if (isOutputChannel(msg) && isVote) {
       const target = await getOutputChannel(msg.guild);
-      if (target) await target.send(`Vote in <#${SOURCE_CHANNEL_ID}> not here.`);
+      const input = await getInputChannel(msg.guild);
+      if (target && input) {
+        await target.send(
+          "Reactions here don't count: use the Vote buttons on the proposal, " +
+            `or vote in <#${input.id}>.`
+        );
+      }
       return;
     }
 
     // === GROUP BET VOTING PATH (👍/👎 on qualifying messages in SOURCE/INPUT channel) ===
-    const inInput =
-      msg.channelId === SOURCE_CHANNEL_ID || msg.channel?.name === INPUT_CHANNEL_NAME;
+    const inInput = isInputChannel(msg);
 
     if (
       inInput &&
-      hasExactReturns(msg.content ?? '') &&
+      isBetText(msg.content ?? '') &&
       hasGB(msg.content ?? '') &&
-      (emoji === UPVOTE || emoji === DOWNVOTE)
+      isVote
     ) {
-      // Ensure state initialized (covers the edge case where bot restarted)
-      if (!groupBets.has(msg.id)) {
-        groupBets.set(msg.id, {
-          proposerId: msg.author?.id ?? '',
-          upvoters: new Set(),
-          downvoters: new Set(),
-          proposalForwarded: false,
-        });
-      }
-
-      const state = groupBets.get(msg.id);
-      const voterId = user.id;
-
-      // Author can't vote beyond implicit upvote
-      if (voterId === state.proposerId) return;
-
-      // Ignore duplicate votes
-      if (state.upvoters.has(voterId) || state.downvoters.has(voterId)) return;
-
-      const target = await getOutputChannel(msg.guild);
-      if (!target) return;
-
-      if (emoji === UPVOTE) {
-        state.upvoters.add(voterId);
-
-        // Pass requires 2 total upvotes (author implicit + 1 other). Since author is implicit, we just need 1 here.
-        const passed = state.upvoters.size >= 1;
-
-        if (passed) {
-          const proposerName = (await client.users.fetch(state.proposerId)).username;
-          const upNames = await idsToUsernames(client, state.upvoters);
-          const forList = [proposerName, ...upNames].join(', ');
-          const againstNames = await idsToUsernames(client, state.downvoters);
-          const againstList = againstNames.length ? againstNames.join(', ') : '—';
-
-          await target.send(
-            `**Group bet passed**\n` +
-              `${msg.content}\n${msg.url}\n\n` +
-              `**For:** ${forList}\n` +
-              `**Against:** ${againstList}`
-          );
-        } else {
-          const remaining = Math.max(0, 1 - state.upvoters.size);
-          await target.send(
-            `**${user.username}** voted for it — requires **${remaining}** more vote to pass.`
-          );
-        }
-
-        groupBets.set(msg.id, state);
+      const denied = await voteDenied(msg.guild, user);
+      if (denied) {
+        await refuseReaction(reaction, user, denied);
         return;
       }
+      await handleVote(msg, user, emoji);
+      return;
+    }
 
-      if (emoji === DOWNVOTE) {
-        state.downvoters.add(voterId);
-
-        // With 3 people, failure requires 2 downvotes from the two other members.
-        const failed = state.downvoters.size >= 2;
-
-        if (failed) {
-          const proposer = await client.users.fetch(state.proposerId);
-          const proposerName = proposer.username;
-
-          const downNames = await idsToUsernames(client, state.downvoters);
-          const downList = downNames.join(', ');
+    // === ORIGINAL ✅/❌ RESOLUTION PATH ===
+    if (!inInput) return;
 
-          const upNames = await idsToUsernames(client, state.upvoters);
-          const forList = [proposerName, ...upNames].join(', ');
+    if (!parseBetMessage(msg).ok) return;
 
-          await target.send(
-            `**Group bet proposal from ${proposerName} was rejected by ${downList}**\n` +
-              `${msg.content}\n${msg.url}\n\n` +
-              `**For:** ${forList}\n` +
-              `**Against:** ${downList}`
-          );
-        } else {
-          await target.send(`**${user.username}** voted against it.`);
-        }
+    const isResult = (e) => e === emojis.success || e === emojis.fail;
+    if (!isResult(emoji)) return;
 
-        groupBets.set(msg.id, state);
-        return;
-      }
+    const denied = await settleDenied(msg, user);
+    if (denied) {
+      await refuseReaction(reaction, user, denied);
+      return;
     }
 
-    // === ORIGINAL ✅/❌ RESOLUTION PATH ===
-    if (!inInput) return;
+    // ✅ swapped for ❌ (or back): reverse the old result, then settle again
+    const prev = getResolved(msg.id);
+    const swapped = prev && prev.emoji !== emoji && isResult(prev.emoji);
+    if (swapped) {
+      await reverseSettlement(msg, `${prev.emoji} replaced with ${emoji} by ${user.username}`, {
+        actor: user,
+      });
+      // Drop the old marker; its remove event is a no-op now the result has moved on
+      const old = msg.reactions.cache.find((r) => r.emoji.name === prev.emoji);
+      await old?.remove().catch(() => {});
+    }
 
-    const content = msg.content ?? '';
-    if (!hasExactReturns(content)) return;
+    await settleBet(msg, emoji, { actor: user });
+  } catch (err) {
+    console.error('Forward error:', err);
+  }
+});
 
-    if (emoji !== SUCCESS_REACTION && emoji !== FAIL_REACTION) return;
+// --------------------
+// (2b) GROUP BET: vote retractions (👍/👎 removed)
+// --------------------
+client.on(Events.MessageReactionRemove, async (reaction, user) => {
+  try {
+    if (user.bot) return;
 
-    if (processed.has(msg.id)) return;
-    processed.add(msg.id);
+    if (reaction.partial) await reaction.fetch();
+    const msg = reaction.message;
+    if (msg.partial) await msg.fetch();
 
-    const amount = extractReturnsAmount(content);
-    const rewrittenSuccess = content.replace(' Returns ', ' Returned ');
-    const rewrittenFail = content.replace(' Returns ', ' To Return ');
+    const emoji = reaction.emoji.name;
+    const { upvote, downvote } = getEmojis(msg.guildId);
+    if (emoji !== upvote && emoji !== downvote) return;
+    if (!isGroupBetMessage(msg)) return;
 
-    let statusLine;
-    let rewritten;
+    await handleVoteRemoved(msg, user, emoji);
+  } catch (err) {
+    console.error('Vote removal error:', err);
+  }
+});
 
-    if (emoji === SUCCESS_REACTION) {
-      rewritten = rewrittenSuccess;
-      statusLine = `Bet Succeeded`;
-    } else {
-      rewritten = rewrittenFail;
-      statusLine = `Bet Failed`;
-    }
+// --------------------
+// (2c) Settlement undone: ✅/❌ taken off, or our 🟡/⚫ marker removed
+// --------------------
+client.on(Events.MessageReactionRemove, async (reaction, user) => {
+  try {
+    const emoji = reaction.emoji.name;
+    const emojis = getEmojis(reaction.message.guildId);
+    const isResult = emoji === emojis.success || emoji === emojis.fail;
+    const isMarker = emoji === emojis.cashOut || emoji === emojis.void;
 
-    const target = await getOutputChannel(msg.guild);
-    if (!target) return;
+    // 🟡/⚫ are the bot's own reactions, so a moderator removing them shows up as us
+    if (isResult && user.bot) return;
+    if (isMarker && user.id !== client.user.id) return;
+    if (!isResult && !isMarker) return;
 
-    const files = [...msg.attachments.values()].map((a) => a.url);
+    const msg = reaction.message;
+    if (msg.partial) await msg.fetch();
+    if (!isInputChannel(msg) || getResolved(msg.id)?.emoji !== emoji) return;
 
-    const sent = await target.send({
-      content: `${statusLine}\n${rewritten}\n${msg.url}`,
-      files,
-    });
+    // Someone else still has the same result reaction on it: leave it settled
+    if (isResult && msg.reactions.cache.get(emoji)?.count > 0) return;
 
-    // NEW: log success/failure to the sheet (leave cashout fields blank)
-    if (emoji === SUCCESS_REACTION && typeof logSuccess === 'function') {
-      await logSuccess({ message: sent, originalMessage: msg });
-    }
-    if (emoji === FAIL_REACTION && typeof logFailure === 'function') {
-      await logFailure({ message: sent, originalMessage: msg });
+    // Reversing is settling: same roles as adding the reaction
+    const denied = isResult && (await settleDenied(msg, user));
+    if (denied) {
+      await refuseRemoval(reaction, user, denied);
+      return;
     }
+
+    // (the moderator isn't named anywhere, so the audit trail can't say who)
+    const by = isResult ? user.username : 'a moderator';
+    await reverseSettlement(msg, `${emoji} removed by ${by}`, { actor: isResult ? user : null });
   } catch (err) {
-    console.error('Forward error:', err);
+    console.error('Settlement reversal error:', err);
   }
 });
 
 // --------------------
-// (3) CASH-OUT / VOID by replying with $amount (new behavior)
+// (3) CASH-OUT / VOID by replying with $amount (new behavior), or a partial
+// cash-out with `$5 of $10` (took $5 of a $10 offer; the rest stays open)
 // --------------------
 client.on(Events.MessageCreate, async (message) => {
   try {
@@ -383,14 +374,12 @@ client.on(Events.MessageCreate, async (message) => {
     if (!message.reference || !message.reference.messageId) return;
 
     // Only in input channel (by ID or by name)
-    const inInput =
-      message.channelId === SOURCE_CHANNEL_ID ||
-      message.channel?.name === INPUT_CHANNEL_NAME;
-    if (!inInput) return;
+    if (!isInputChannel(message)) return;
 
-    // Content must be exactly a dollar amount like `$5`, `$0`, `$6.5`
+    // Content must be exactly a dollar amount like `$5`, `$0`, `$6.5`, or `$5 of $10`
     const cashoutAmount = parseDollarOnlyMessage(message.content);
-    if (cashoutAmount === null) return;
+    const partial = parsePartialCashOut(message.content);
+    if (cashoutAmount === null && !partial) return;
 
     const channel = message.channel;
     const originalMessage = await channel.messages
@@ -398,58 +387,126 @@ client.on(Events.MessageCreate, async (message) => {
       .catch(() => null);
     if (!originalMessage) return;
 
-    // If already resolved, ignore
-    if (await messageAppearsResolved(originalMessage)) return;
+    const denied = await settleDenied(originalMessage, message.author);
+    if (denied) {
+      await refuseReply(message, denied);
+      return;
+    }
 
-    const outputChannel = await getOutputChannel(message.guild);
-    if (!outputChannel) return;
+    if (partial) {
+      await cashOutPartial(originalMessage, partial.amount, partial.offer, {
+        replyId: message.id,
+        actor: message.author,
+      });
+      return;
+    }
+    await cashOutBet(originalMessage, cashoutAmount, {
+      replyId: message.id,
+      actor: message.author,
+    });
+  } catch (err) {
+    console.error('Cash-out error:', err);
+  }
+});
+
+// --------------------
+// (3b) PARLAY LEGS settled by replying `leg 2 won` / `3 push` etc.
+// --------------------
+client.on(Events.MessageCreate, async (message) => {
+  try {
+    if (message.author?.bot) return;
+    if (!message.reference?.messageId) return;
+    if (!isInputChannel(message)) return;
+
+    const reply = parseLegReply(message.content ?? '');
+    if (!reply) return;
 
-    const betLink = buildOriginalBetLink(originalMessage);
+    const originalMessage = await message.channel.messages
+      .fetch(message.reference.messageId)
+      .catch(() => null);
+    if (!originalMessage || !parseBetText(originalMessage.content ?? '')?.legs) return;
+
+    const denied = await settleDenied(originalMessage, message.author);
+    if (denied) {
+      await refuseReply(message, denied);
+      return;
+    }
 
-    // $0 => void
-    if (cashoutAmount === 0) {
-      await originalMessage.react(BLACK_CIRCLE).catch(() => {});
-      const sent = await outputChannel.send(`Bet Voided\n${betLink}`);
+    await settleLeg(originalMessage, reply.leg, reply.result, { actor: message.author });
+  } catch (err) {
+    console.error('Parlay leg error:', err);
+  }
+});
 
-      if (typeof logVoid === 'function') {
-        await logVoid({ message: sent, originalMessage });
+// --------------------
+// (4) BET_PLACED logging for every bet posted in the input channel
+// --------------------
+client.on(Events.MessageCreate, async (msg) => {
+  try {
+    if (msg.author?.bot) return;
+    if (!isInputChannel(msg)) return;
+
+    const parsed = parseBetMessage(msg);
+    if (!parsed.ok) {
+      // Looks like a bet but we can't read it: say why, so it can be edited into shape
+      if (parsed.attempted && !msg.reference) {
+        await msg.reply({
+          content: `Couldn't read this bet: ${parsed.reason}. Edit the message to fix it.`,
+          allowedMentions: { repliedUser: false },
+        });
       }
       return;
     }
 
-    // Cash out
-    await originalMessage.react(YELLOW_FLAG).catch(() => {});
+    await recordBetPlaced(msg);
+  } catch (err) {
+    console.error('Bet placed log error:', err);
+  }
+});
 
-    const stake = extractStakeFromText(originalMessage.content || '');
-    let cashoutLine = `Cashed out at $${fmtMoney(cashoutAmount)}`;
+// --------------------
+// (5) Bets edited / deleted: keep forwarded messages, ledger and sheet in sync
+// --------------------
+client.on(Events.MessageUpdate, async (oldMsg, newMsg) => {
+  try {
+    if (newMsg.partial) await newMsg.fetch();
+    if (!isInputChannel(newMsg)) return;
+    if (oldMsg.content != null && oldMsg.content === newMsg.content) return;
+
+    // Covers bets fixed up into the right format after posting, too
+    if (!getBet(newMsg.id)) {
+      if (newMsg.author?.bot || !parseBetMessage(newMsg).ok) return;
+      await recordBetPlaced(newMsg);
+      return;
+    }
 
-    let gainLossForLog = null;
-    if (stake !== null && isFinite(stake)) {
-      const diff = cashoutAmount - stake;
-      const abs = Math.abs(diff);
+    await applyBetEdit(newMsg, oldMsg.content ?? '');
+  } catch (err) {
+    console.error('Bet edit error:', err);
+  }
+});
 
-      if (abs >= 0.005) {
-        if (diff > 0) {
-          cashoutLine = `Cashed out for a $${fmtMoney(abs)} gain for $${fmtMoney(cashoutAmount)}`;
-        } else {
-          cashoutLine = `Cashed out at a $${fmtMoney(abs)} loss for $${fmtMoney(cashoutAmount)}`;
-        }
+client.on(Events.MessageDelete, async (msg) => {
+  try {
+    // A deleted $amount reply takes its cash-out / void with it
+    const cashedOut = findBetByReply(msg.id);
+    if (cashedOut) {
+      const channel = await client.channels.fetch(cashedOut.channelId).catch(() => null);
+      const betMsg = await channel?.messages.fetch(cashedOut.messageId).catch(() => null);
+      if (!betMsg) return;
+      if (cashedOut.resolved?.replyId === msg.id) {
+        await reverseSettlement(betMsg, 'cash-out reply deleted');
+      } else {
+        await reversePartialCashOut(betMsg, msg.id, 'cash-out reply deleted');
       }
-      gainLossForLog = diff;
+      return;
     }
 
-    const sent = await outputChannel.send(`${cashoutLine}\n${betLink}`);
+    if (!getBet(msg.id)) return;
 
-    if (typeof logCashOut === 'function') {
-      await logCashOut({
-        message: sent,
-        originalMessage,
-        cashoutAmount,
-        gainLoss: gainLossForLog,
-      });
-    }
+    await cancelBet(msg.guild, msg.id);
   } catch (err) {
-    // silent by design
+    console.error('Bet delete error:', err);
   }
 });
 
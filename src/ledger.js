@@ -0,0 +1,282 @@
+// src/ledger.js
+// Per-member bankroll + running P&L, kept locally so it works with or without
+// Google Sheets credentials.
+// ----------------------------------------------------
+// Members are keyed by the bet initials parsed by parseBetText ("DH", "GB", ...)
+// within a guild; every read filters by guild id, so servers never share a ledger.
+// Every bet writes a "stake" entry when placed and a "settle" entry when it's
+// resolved; deposits/withdrawals are entered by hand with /bankroll.
+// A partial cash-out writes a "partial" entry for the part of the stake it
+// closed; the final settle entry then only covers the stake left running.
+//
+// Entry shape (key = entry id):
+// {
+//   id, guildId, member, memberName, type: "deposit" | "stake" | "settle" | "partial",
+//   authorId?                         (stake: Discord user who placed the bet)
+//   at: ISO string, betId?, amount?   (deposit: +in / -out)
+//   stake?, outcome?, returned?, pnl? (settle: SUCCESS | FAILURE | CASH_OUT | VOID,
+//                                      partial: PARTIAL_CASH_OUT)
+//   note?
+// }
+
+const { openStore } = require('./store.js');
+const { parseBetText, parlayReturns } = require('./betParser.js');
+const { getBetAuthorId, getLegResults } = require('./bets.js');
+
+const store = openStore('ledger');
+
+function memberKey(text) {
+  return String(text ?? '').trim().toUpperCase();
+}
+
+function to2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// ---------- Writes ----------
+
+// Bet placed (or edited): one stake entry per bet, overwritten in place
+function recordStake(msg) {
+  const parsed = parseBetText(msg.content || '');
+  if (!parsed) return null;
+
+  const id = `${msg.id}:stake`;
+  const prev = store.get(id);
+  return store.set(id, {
+    id,
+    guildId: msg.guildId ?? msg.guild?.id ?? '',
+    member: parsed.initials,
+    memberName: parsed.bettor,
+    type: 'stake',
+    authorId: getBetAuthorId(msg),
+    at: prev?.at || new Date(msg.createdTimestamp || Date.now()).toISOString(),
+    betId: msg.id,
+    stake: to2(parsed.stake),
+  });
+}
+
+// Bet deleted: drop its stake and any partial cash-outs
+function cancelStake(betId) {
+  store.delete(`${betId}:stake`);
+  for (const e of partialEntries(betId)) store.delete(e.id);
+}
+
+function partialEntries(betId) {
+  return store.values().filter((e) => e.type === 'partial' && e.betId === betId);
+}
+
+// Stake still running after partial cash-outs (null if the text doesn't parse)
+function remainingStake(msg) {
+  const parsed = parseBetText(msg.content || '');
+  if (!parsed) return null;
+  const closed = partialEntries(msg.id).reduce((sum, e) => sum + e.stake, 0);
+  return to2(Math.max(parsed.stake - closed, 0));
+}
+
+// Part of the stake cashed out: `stake` is the part closed, `amount` what came back.
+// `key` identifies it (the reply id, or a timestamp for /bet cashout).
+function recordPartialCashOut(msg, { key, stake, amount }) {
+  const parsed = parseBetText(msg.content || '');
+  if (!parsed) return null;
+
+  const id = `${msg.id}:partial:${key}`;
+  return store.set(id, {
+    id,
+    guildId: msg.guildId ?? msg.guild?.id ?? '',
+    member: parsed.initials,
+    memberName: parsed.bettor,
+    type: 'partial',
+    at: new Date().toISOString(),
+    betId: msg.id,
+    stake: to2(stake),
+    outcome: 'PARTIAL_CASH_OUT',
+    returned: to2(amount),
+    pnl: to2(amount - stake),
+  });
+}
+
+// Partial cash-out undone: its part of the stake is open again
+function cancelPartialCashOut(betId, key) {
+  const id = `${betId}:partial:${key}`;
+  const prev = store.get(id) || null;
+  store.delete(id);
+  return prev;
+}
+
+// outcome: SUCCESS | FAILURE | CASH_OUT | VOID
+// For CASH_OUT pass the cash-out amount as `returned`. A winning parlay pays
+// out at its combined odds minus any pushed / voided legs. After partial
+// cash-outs only the remaining stake (and its share of the returns) settles.
+function recordSettlement(msg, outcome, { returned } = {}) {
+  const parsed = parseBetText(msg.content || '');
+  if (!parsed) return null;
+
+  const stake = remainingStake(msg);
+  let back;
+  if (outcome === 'SUCCESS') {
+    back = (parlayReturns(parsed, getLegResults(msg.id)) * stake) / parsed.stake;
+  } else if (outcome === 'FAILURE') back = 0;
+  else if (outcome === 'CASH_OUT') back = Number(returned) || 0;
+  else back = stake; // VOID: stake comes back
+
+  const id = `${msg.id}:settle`;
+  return store.set(id, {
+    id,
+    guildId: msg.guildId ?? msg.guild?.id ?? '',
+    member: parsed.initials,
+    memberName: parsed.bettor,
+    type: 'settle',
+    at: new Date().toISOString(),
+    betId: msg.id,
+    stake: to2(stake),
+    outcome,
+    returned: to2(back),
+    pnl: to2(back - stake),
+  });
+}
+
+// Settled bet edited: recompute the settle entry from the new text, keeping its
+// outcome, cash-out amount and timestamp. Returns the new entry or null.
+function refreshSettlement(msg) {
+  const prev = store.get(`${msg.id}:settle`);
+  if (!prev) return null;
+  const entry = recordSettlement(msg, prev.outcome, { returned: prev.returned });
+  return entry && store.set(entry.id, { ...entry, at: prev.at });
+}
+
+// A bet's whole result: its settle entry plus any partial cash-outs
+// ({ stake, returned, pnl }), or null while it's unsettled
+function betTotals(betId) {
+  const settle = store.get(`${betId}:settle`);
+  if (!settle) return null;
+  return [settle, ...partialEntries(betId)].reduce(
+    (sum, e) => ({
+      stake: to2(sum.stake + e.stake),
+      returned: to2(sum.returned + e.returned),
+      pnl: to2(sum.pnl + e.pnl),
+    }),
+    { stake: 0, returned: 0, pnl: 0 }
+  );
+}
+
+// Settlement reversed: drop the settle entry so the stake is open again
+function cancelSettlement(betId) {
+  const id = `${betId}:settle`;
+  const prev = store.get(id) || null;
+  store.delete(id);
+  return prev;
+}
+
+function recordDeposit({ guildId, member, amount, note = '' }) {
+  const at = new Date().toISOString();
+  const id = `deposit:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`;
+  return store.set(id, {
+    id,
+    guildId,
+    member: memberKey(member),
+    memberName: memberKey(member),
+    type: 'deposit',
+    at,
+    amount: to2(amount),
+    note,
+  });
+}
+
+// ---------- Reads ----------
+
+// Entries for a guild, oldest first. Optional member / from / to (Date) filters.
+function listEntries(guildId, { member, from, to } = {}) {
+  const key = member ? memberKey(member) : null;
+  return store
+    .values()
+    .filter((e) => e.guildId === guildId)
+    .filter((e) => !key || e.member === key || memberKey(e.memberName) === key)
+    .filter((e) => !from || new Date(e.at) >= from)
+    .filter((e) => !to || new Date(e.at) <= to)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// The member key a Discord user bets under (their latest non-group bet), or null
+function memberForUser(guildId, userId) {
+  const mine = listEntries(guildId).filter(
+    (e) => e.type === 'stake' && e.authorId === userId && e.member !== 'GB'
+  );
+  return mine.length ? mine[mine.length - 1].member : null;
+}
+
+function listMembers(guildId) {
+  return [...new Set(listEntries(guildId).map((e) => e.member))].sort();
+}
+
+// {
+//   member, memberName, deposits, openStake, openBets, settledStake, settledBets,
+//   realised, roi (realised / settled stake, null if nothing settled), bankroll
+// }
+function getBalance(guildId, member) {
+  const entries = listEntries(guildId, { member });
+  const settledIds = new Set(entries.filter((e) => e.type === 'settle').map((e) => e.betId));
+  // Stake closed early by partial cash-outs, per bet
+  const closedEarly = {};
+  for (const e of entries.filter((e) => e.type === 'partial')) {
+    closedEarly[e.betId] = (closedEarly[e.betId] || 0) + e.stake;
+  }
+
+  const balance = {
+    member: memberKey(member),
+    memberName: entries.find((e) => e.type !== 'deposit')?.memberName || memberKey(member),
+    deposits: 0,
+    openStake: 0,
+    openBets: 0,
+    settledStake: 0,
+    settledBets: 0,
+    realised: 0,
+    roi: null,
+    bankroll: 0,
+  };
+
+  for (const e of entries) {
+    if (e.type === 'deposit') {
+      balance.deposits += e.amount;
+    } else if (e.type === 'stake' && !settledIds.has(e.betId)) {
+      balance.openStake += Math.max(e.stake - (closedEarly[e.betId] || 0), 0);
+      balance.openBets += 1;
+    } else if (e.type === 'partial') {
+      // Counts towards P&L and turnover; the bet itself is counted once it settles
+      balance.realised += e.pnl;
+      balance.settledStake += e.stake;
+    } else if (e.type === 'settle') {
+      balance.realised += e.pnl;
+      // Voids don't count towards turnover
+      if (e.outcome !== 'VOID') {
+        balance.settledStake += e.stake;
+        balance.settledBets += 1;
+      }
+    }
+  }
+
+  balance.deposits = to2(balance.deposits);
+  balance.openStake = to2(balance.openStake);
+  balance.settledStake = to2(balance.settledStake);
+  balance.realised = to2(balance.realised);
+  balance.roi = balance.settledStake > 0 ? balance.realised / balance.settledStake : null;
+  balance.bankroll = to2(balance.deposits + balance.realised - balance.openStake);
+  return balance;
+}
+
+module.exports = {
+  memberKey,
+  recordStake,
+  cancelStake,
+  recordSettlement,
+  refreshSettlement,
+  cancelSettlement,
+  betTotals,
+  remainingStake,
+  recordPartialCashOut,
+  cancelPartialCashOut,
+  recordDeposit,
+  listEntries,
+  listMembers,
+  memberForUser,
+  getBalance,
+};
@@ -1,70 +1,100 @@
 // src/logging.js
-// November-only spreadsheet backend.
-// We now log everything into the "Group" tab so all bets (group or individual)
-// show up in the same place the site reads from.
+// Bet log: one row per bet event (placed, settled, cashed out, reversed, ...),
+// group and individual bets alike, in the guild's tab so they all show up in
+// the same place the site reads from. Events before the guild's logging start
+// (LOGGING_START_ISO / /config) aren't logged.
 // ----------------------------------------------------
-// Env vars (set later on Railway):
-//   GOOGLE_SERVICE_ACCOUNT_EMAIL
-//   GOOGLE_PRIVATE_KEY           (supports literal newlines or \n-escaped)
+// Rows are built here and written through the logging backends (backends/):
+// Google Sheets, local CSV / JSONL files and SQLite, picked with LOG_BACKENDS
+// (several at once is fine; each gets the same rows). Without Google
+// credentials the default is a local JSONL log, so development still records
+// everything. See backends/index.js and backends/sheets.js for their env vars.
+// Every write goes through the outbox (outbox.js) first, so a backend outage
+// delays rows rather than dropping them (/logging status shows the queue).
+//
+// Env vars:
 //   GOOGLE_SHEETS_SPREADSHEET_ID
 // Optional:
 //   LOGGING_START_ISO (default "2025-11-01T00:00:00Z")
 //
+// A guild can point at its own spreadsheet / cutoff with /config; the env vars
+// are the defaults (see guildConfig.js). Each guild also writes to its own tab
+// (the original server keeps "Group"), so servers never share rows.
+// With a sheet rollover set (/config sheet rollover), the tab rolls over every
+// week / month: "Group 2025-11", "Group 2025-12", ... A bet's rows always go to
+// the tab for the period it was placed in, so later settlements / edits land
+// next to its BET_PLACED row.
+//
 // Public functions you can call from index.js:
-//   - logBetPlaced({ message, channelName })
-//   - logCashOut({ message, originalMessage, cashoutAmount, gainLoss })
-//   - logVoid({ message, originalMessage })
-//   - logSuccess({ message, originalMessage })
-//   - logFailure({ message, originalMessage })
+//   - logBetPlaced({ message, channelName, author? })
+//   - logCashOut({ message, originalMessage, author?, cashoutAmount, gainLoss, stake?, partial?,
+//       resolvedBy? })
+//       `partial` logs PARTIAL_CASH_OUT; `stake` is the part of the stake the cash-out covers
+//   - logVoid({ message, originalMessage, author?, resolvedBy? })
+//   - logSuccess({ message, originalMessage, author?, stake?, returns?, resolvedBy? })
+//   - logFailure({ message, originalMessage, author?, stake?, resolvedBy? })
+//       `stake` / `returns` override the parsed values: what's left after partial
+//       cash-outs, parlays with pushed / voided legs
+//   - logBetEdited({ message, author?, previousContent? })
+//       rewrites the BET_PLACED row in place + appends an EDIT row (before -> after)
+//   - logBetDeleted({ guildId, messageId }) annotates the BET_PLACED row + appends CANCELLED
+//   - logExpired({ originalMessage, author?, notes? }) a group proposal closed at its
+//       voting deadline without a decision
+//   - logReversal({ message, originalMessage, author?, reversedEvent, cashout?, gainLoss?, stake?,
+//       resolvedBy? })
+//   - logLegsPlaced({ message }) one OPEN row per parlay leg on the "<tab> Legs" tab
+//   - logLegResult({ originalMessage, legNumber, result, results }) a row for a settled leg
+//   - prepareTabs(guildId, when?) creates the tab for the period containing `when`
+//       (the scheduler calls this as a period starts, so the new tab is there early)
+//   - backfillRow / loggedRows / appendBackfillRow: /backfill (backfill.js)
+//
+// `author` (a Discord User) overrides the bet message's author for bets the
+// bot posted on someone's behalf (/bet place). `resolvedBy` (a Discord User)
+// is whoever settled / cashed out / voided / reversed it: the Resolved By column.
 //
 // NOTE: Requiring this file alone does nothing destructive; it just prepares helpers.
 
-const { google } = require("googleapis");
+const { getConfig } = require("./guildConfig.js");
+const { parseBetText, combinedOdds, parlayReturns } = require("./betParser.js");
+const { periodRange } = require("./stats.js");
+const backends = require("./backends/index.js");
+const { registerOp, enqueue } = require("./outbox.js");
 
 // ---------- Config ----------
-const SERVICE_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || "";
-const RAW_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY || "";
 const SPREADSHEET_ID = process.env.GOOGLE_SHEETS_SPREADSHEET_ID || "";
 const LOGGING_START_ISO = process.env.LOGGING_START_ISO || "2025-11-01T00:00:00Z";
 
-// We keep this constant around for compatibility, but we no longer use it
-// to create / select a separate tab.
-const TAB_INDIVIDUAL = "Individual";
 const TAB_GROUP = "Group";
 
-// Normalize \n in private key if necessary
-const PRIVATE_KEY = RAW_PRIVATE_KEY.includes("\\n")
-  ? RAW_PRIVATE_KEY.replace(/\\n/g, "\n")
-  : RAW_PRIVATE_KEY;
+// The guild's spreadsheet (falls back to GOOGLE_SHEETS_SPREADSHEET_ID)
+function spreadsheetFor(guildId) {
+  return (guildId && getConfig(guildId).spreadsheetId) || SPREADSHEET_ID;
+}
 
-// ---------- State ----------
-let sheets = null;
+// The guild's tab ("Group" for the original server). With a rollover set, the
+// tab for the week / month containing `when`: "Group 2025-11" / "Group 2025-11-03".
+function tabFor(guildId, when = new Date()) {
+  const config = guildId ? getConfig(guildId) : null;
+  const tab = config?.sheetTab || TAB_GROUP;
+  if (!config?.sheetRollover) return tab;
 
-// ---------- Helpers ----------
-function haveCreds() {
-  if (!SERVICE_EMAIL || !PRIVATE_KEY || !SPREADSHEET_ID) {
-    console.warn("[logging] Missing Google Sheets env vars; logging disabled until set.");
-    return false;
-  }
-  return true;
+  const { from } = periodRange(config.sheetRollover, 0, new Date(when));
+  const period = from.toISOString().slice(0, config.sheetRollover === "month" ? 7 : 10);
+  return `${tab} ${period}`;
 }
 
-async function getSheets() {
-  if (sheets) return sheets;
-  if (!haveCreds()) return null;
-  const auth = new google.auth.JWT({
-    email: SERVICE_EMAIL,
-    key: PRIVATE_KEY,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  sheets = google.sheets({ version: "v4", auth });
-  return sheets;
+// When a Discord message was created, from its snowflake ID (null if it isn't one)
+function messageDate(messageId) {
+  if (!/^\d{15,}$/.test(String(messageId || ""))) return null;
+  return new Date(Number((BigInt(messageId) >> 22n) + 1420070400000n));
 }
 
-// Only log events on/after cutoff (no retroactive backfill)
-function sameOrAfterCutoff(dateLike) {
+// Only log events on/after the guild's cutoff (live events; /backfill goes
+// back further on purpose)
+function sameOrAfterCutoff(dateLike, guildId) {
   const t = new Date(dateLike).getTime();
-  const cutoff = new Date(LOGGING_START_ISO).getTime();
+  const startIso = (guildId && getConfig(guildId).loggingStartIso) || LOGGING_START_ISO;
+  const cutoff = new Date(startIso).getTime();
   return isFinite(t) && isFinite(cutoff) && t >= cutoff;
 }
 
@@ -77,87 +107,22 @@ function messageLink(msg) {
   }
 }
 
-// Parse your bet format:
-// "GB Danny Live Nuggets ML -210 $2.42 Returns $3.57"  -> group bet
-// "DH Danny Live Nuggets ML -210 $2.42 Returns $3.57"  -> individual bet
-// Any first token of length 2:
-//   - "GB" => Group
-//   - anything else => Individual
-function parseBetText(text) {
-  if (!text) return null;
-
-  // Core regex capturing all 6 main parts
-  const re =
-    /^(\w{2})\s+(\S+)\s+(.+?)\s+([+-]?\d+(?:\.\d+)?)\s+\$([0-9]+(?:\.[0-9]+)?)\s+(?:Returns|To\s+Return)\s+\$([0-9]+(?:\.[0-9]+)?)/i;
-
-  const m = text.match(re);
-  if (!m) return null;
-
-  const initials = m[1].toUpperCase();
-  const bettor = m[2];
-  const market = m[3].trim();
-  const odds = Number(m[4]);
-  const stake = Number(m[5]);
-  const returns = Number(m[6]);
-
-  // IMPORTANT: GB = group bet. Any other 2-letter code = individual bet.
-  const kind = initials === "GB" ? "Group" : "Individual";
-
-  return { initials, kind, bettor, market, odds, stake, returns };
-}
-
 // Basic currency-safe 2-decimal number (for sheet number cells we keep raw number)
 function to2(n) {
   return Math.round(Number(n) * 100) / 100;
 }
 
-// Ensure the Group tab exists and is formatted nicely
-// (We no longer auto-create / init an "Individual" tab.)
-async function ensureTabs() {
-  const client = await getSheets();
-  if (!client) return false;
-
-  // 1) Get current meta
-  let meta = await client.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-  let titles = new Set((meta.data.sheets || []).map(s => s.properties?.title));
-
-  const requests = [];
-
-  // Helper to add a sheet with frozen header
-  function addSheetReq(title) {
-    return {
-      addSheet: {
-        properties: {
-          title,
-          gridProperties: { frozenRowCount: 1 },
-        },
-      },
-    };
-  }
-
-  // Create Group tab if missing
-  if (!titles.has(TAB_GROUP)) {
-    requests.push(addSheetReq(TAB_GROUP));
-  }
-
-  // 2) If we created any, apply them
-  if (requests.length) {
-    await client.spreadsheets.batchUpdate({
-      spreadsheetId: SPREADSHEET_ID,
-      requestBody: { requests },
-    });
-    // 3) IMPORTANT: re-fetch meta so we have fresh sheetIds
-    meta = await client.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-    titles = new Set((meta.data.sheets || []).map(s => s.properties?.title));
-  }
-
-  const getSheetIdByTitle = (title) =>
-    (meta.data.sheets || []).find(s => s.properties?.title === title)?.properties?.sheetId;
-
-  // Write headers (idempotent via update)
-  const headers = [[
+// Column layout of a tab: header row, currency columns and widths (px).
+// BETS is the main per-guild tab; LEGS is its "<tab> Legs" parlay breakdown,
+// one row per leg linked to the parent bet by Message ID.
+const BETS_LAYOUT = {
+  table: "bets",
+  keyCols: [16, 1], // Message ID + Event: what the outbox de-duplicates on
+  lastCol: "S",
+  headers: [
     "Timestamp (ISO)", // A
-    "Event",           // B - BET_PLACED | CASH_OUT | VOID | SUCCESS | FAILURE
+    "Event",           // B - BET_PLACED | CASH_OUT | PARTIAL_CASH_OUT | VOID | SUCCESS | FAILURE
+                       //     | REVERSAL | EDIT | CANCELLED | EXPIRED
     "Kind",            // C - Individual | Group
     "Initials",        // D - DH | GB | etc.
     "Bettor Name",     // E
@@ -172,122 +137,138 @@ async function ensureTabs() {
     "Author Tag",      // N
     "Author ID",       // O
     "Message Link",    // P
-    "Message ID"       // Q
-  ]];
-
-  async function initTab(title) {
-    // Header row
-    await client.spreadsheets.values.update({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${title}!A1:Q1`,
-      valueInputOption: "RAW",
-      requestBody: { values: headers },
-    });
-
-    // Styling & widths should never block appending; make best-effort only
-    try {
-      const sheetId = getSheetIdByTitle(title);
-      if (sheetId == null) return;
-
-      await client.spreadsheets.batchUpdate({
-        spreadsheetId: SPREADSHEET_ID,
-        requestBody: {
-          requests: [
-            // Bold header
-            {
-              repeatCell: {
-                range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
-                cell: { userEnteredFormat: { textFormat: { bold: true } } },
-                fields: "userEnteredFormat.textFormat.bold",
-              },
-            },
-            // Currency formats for H..K
-            ...["H","I","J","K"].map((col) => ({
-              repeatCell: {
-                range: {
-                  sheetId,
-                  startRowIndex: 1,
-                  startColumnIndex: col.charCodeAt(0) - 65,
-                  endColumnIndex: col.charCodeAt(0) - 65 + 1,
-                },
-                cell: {
-                  userEnteredFormat: {
-                    numberFormat: { type: "CURRENCY", pattern: "$#,##0.00" },
-                  },
-                },
-                fields: "userEnteredFormat.numberFormat",
-              },
-            })),
-            // Column widths
-            ...[
-              ["A", 155], ["B", 120], ["C", 110], ["D", 70],  ["E", 140],
-              ["F", 250], ["G", 80],  ["H", 110], ["I", 110], ["J", 110],
-              ["K", 110], ["L", 140], ["M", 400], ["N", 160], ["O", 140],
-              ["P", 220], ["Q", 160],
-            ].map(([col, px]) => ({
-              updateDimensionProperties: {
-                range: {
-                  sheetId,
-                  dimension: "COLUMNS",
-                  startIndex: col.charCodeAt(0) - 65,
-                  endIndex: col.charCodeAt(0) - 65 + 1,
-                },
-                properties: { pixelSize: px },
-                fields: "pixelSize",
-              },
-            })),
-          ],
-        },
-      });
-    } catch (e) {
-      console.warn("[logging] styling skipped:", e?.message || e);
-    }
-  }
+    "Message ID",      // Q
+    "Notes",           // R - "Edited …" / "Deleted …", EDIT before -> after
+    "Resolved By",     // S - "tag (id)" of who settled / cashed out / voided / reversed it
+  ],
+  currency: ["H", "I", "J", "K"],
+  widths: [
+    ["A", 155], ["B", 120], ["C", 110], ["D", 70],  ["E", 140],
+    ["F", 250], ["G", 80],  ["H", 110], ["I", 110], ["J", 110],
+    ["K", 110], ["L", 140], ["M", 400], ["N", 160], ["O", 140],
+    ["P", 220], ["Q", 160], ["R", 220], ["S", 200],
+  ],
+};
 
-  // Only initialize the Group tab; Individual (if it exists) is left untouched.
-  await initTab(TAB_GROUP);
+const LEGS_LAYOUT = {
+  table: "legs",
+  keyCols: [2, 3, 1], // Parent Message ID + Leg # + Result
+  lastCol: "L",
+  headers: [
+    "Timestamp (ISO)",   // A
+    "Result",            // B - OPEN | WON | LOST | PUSH | VOID
+    "Parent Message ID", // C - Message ID of the bet on the main tab
+    "Leg #",             // D
+    "Market",            // E
+    "Odds",              // F
+    "Decimal Odds",      // G
+    "Combined Odds",     // H - parlay odds after this leg (pushed / voided legs drop out)
+    "Returns",           // I (currency) - what the parlay pays if the rest win
+    "Initials",          // J
+    "Bettor Name",       // K
+    "Message Link",      // L
+  ],
+  currency: ["I"],
+  widths: [
+    ["A", 155], ["B", 80],  ["C", 160], ["D", 60],  ["E", 250], ["F", 80],
+    ["G", 100], ["H", 120], ["I", 110], ["J", 70],  ["K", 140], ["L", 220],
+  ],
+};
 
-  return true;
+// The guild's parlay legs tab (rolls over with the main tab)
+function legsTabFor(guildId, when) {
+  return `${tabFor(guildId, when)} Legs`;
 }
 
-// Append one row to a tab (with simple retry)
-async function appendRow(tab, values) {
-  const client = await getSheets();
-  if (!client) return;
+// ---------- Backends ----------
+// Writes go through the outbox (outbox.js): saved locally first, then sent to
+// every backend in order, retried until they land.
 
-  await ensureTabs();
+const LAYOUTS = { bets: BETS_LAYOUT, legs: LEGS_LAYOUT };
 
-  const body = { values: [values] };
-  const range = `${tab}!A:Q`;
+// "<message id>:<event>" for a row (the message id always comes first)
+function rowKey(layout, row) {
+  return layout.keyCols.map((col) => row[col]).join(":");
+}
 
-  const maxAttempts = 5;
-  let delay = 400;
-  for (let i = 1; i <= maxAttempts; i++) {
-    try {
-      await client.spreadsheets.values.append({
-        spreadsheetId: SPREADSHEET_ID,
-        range,
-        valueInputOption: "RAW",
-        insertDataOption: "INSERT_ROWS",
-        requestBody: body,
-      });
-      return;
-    } catch (err) {
-      if (i === maxAttempts) {
-        console.warn("[logging] append failed:", err?.message || err);
-        return;
-      }
-      await new Promise(r => setTimeout(r, delay));
-      delay *= 1.6;
-    }
-  }
+// Create / format the tab on every backend; true if any has it ready
+function ensureTabs(spreadsheetId, tab = TAB_GROUP, layout = BETS_LAYOUT) {
+  return backends.ensureTabs(spreadsheetId, tab, layout);
 }
 
-// Build a row according to headers, always targeting the Group tab
+// `options` narrows it to one backend (backfill.js): { backend, existing }
+function appendRow(spreadsheetId, tab, values, layout = BETS_LAYOUT, options = {}) {
+  enqueue(
+    "append",
+    { spreadsheetId, tab, values, layout: layout.table },
+    { key: rowKey(layout, values), messageId: values[layout.keyCols[0]], ...options }
+  );
+}
+
+registerOp("append", {
+  deliver: (backend, { spreadsheetId, tab, values, layout }) =>
+    backend.appendRow(spreadsheetId, tab, values, LAYOUTS[layout]),
+  // Backends without bulk appends (the local ones) just take them one by one
+  async deliverBatch(backend, payloads) {
+    const rows = payloads.map((p) => ({ ...p, layout: LAYOUTS[p.layout] }));
+    if (backend.appendRows) return backend.appendRows(rows);
+    for (const { spreadsheetId, tab, values, layout } of rows) {
+      await backend.appendRow(spreadsheetId, tab, values, layout);
+    }
+  },
+  // The backend already has this key `occurrence` times: a timed-out write landed
+  delivered: async (backend, { spreadsheetId, tab, values, layout }, occurrence) => {
+    const key = rowKey(LAYOUTS[layout], values);
+    const rows = await backend.readRows(spreadsheetId, tab, LAYOUTS[layout]);
+    return rows.filter((row) => rowKey(LAYOUTS[layout], row) === key).length >= occurrence;
+  },
+});
+
+// Bet edited: rewrite its BET_PLACED row in place (append one if it's missing)
+registerOp("rewrite", {
+  async deliver(backend, { spreadsheetId, tab, messageId, values }) {
+    const existing = await backend.findRow(
+      spreadsheetId, tab, messageId, "BET_PLACED", BETS_LAYOUT
+    );
+    if (existing) {
+      await backend.updateRow(spreadsheetId, tab, existing.rowNumber, values, BETS_LAYOUT);
+    } else {
+      await backend.appendRow(spreadsheetId, tab, values, BETS_LAYOUT);
+    }
+  },
+});
+
+// Bet deleted: note it on the BET_PLACED row and append a CANCELLED row copied
+// from it (once; a retry finds the CANCELLED row already there)
+registerOp("cancel", {
+  async deliver(backend, { spreadsheetId, tab, messageId, at }) {
+    const existing = await backend.findRow(
+      spreadsheetId, tab, messageId, "BET_PLACED", BETS_LAYOUT
+    );
+    if (!existing) return;
+
+    const row = [...existing.values];
+    while (row.length < 18) row.push("");
+    row[17] = `Deleted ${at}`;
+    await backend.updateRow(spreadsheetId, tab, existing.rowNumber, row, BETS_LAYOUT);
+
+    if (await backend.findRow(spreadsheetId, tab, messageId, "CANCELLED", BETS_LAYOUT)) return;
+    const cancelled = [...row];
+    cancelled[0] = at;
+    cancelled[1] = "CANCELLED";
+    cancelled[9] = "";
+    cancelled[10] = "";
+    cancelled[17] = "Bet message deleted";
+    await backend.appendRow(spreadsheetId, tab, cancelled, BETS_LAYOUT);
+  },
+});
+
+// Build a row according to headers, targeting the guild's tab
 // (Kind/Initials still get written into the row, but routing is unified.)
 function buildRow({
+  guildId,          // picks the spreadsheet (guildConfig.js)
   when,             // Date or ISO string
-  event,            // BET_PLACED | CASH_OUT | VOID | SUCCESS | FAILURE
+  event,            // see the Event header (column B)
   parsed,           // result of parseBetText (or null)
   channelName,
   fullText,
@@ -297,6 +278,8 @@ function buildRow({
   messageId,
   cashout = null,
   gainLoss = null,
+  notes = "",
+  resolvedBy = null, // Discord User
 }) {
   const iso = new Date(when).toISOString();
 
@@ -328,142 +311,466 @@ function buildRow({
     authorId || "",    // O
     link || "",        // P
     messageId || "",   // Q
+    notes || "",       // R
+    resolvedBy ? `${resolvedBy.tag ?? resolvedBy.username} (${resolvedBy.id})` : "", // S
   ];
 
-  // IMPORTANT: all bets (GB / DH / DG / NM / whatever) go into the Group tab.
-  const tab = TAB_GROUP;
-  return { tab, row };
+  // IMPORTANT: all bets (GB / DH / DG / NM / whatever) go into the guild's one tab
+  // (for the period the bet was placed in, if the tab rolls over).
+  const tab = tabFor(guildId, messageDate(messageId) || when);
+  return { spreadsheetId: spreadsheetFor(guildId), tab, row };
+}
+
+// Parsed bet scaled down to the part of the stake an event covers (partial
+// cash-outs); `returns` scales with it unless given
+function withStake(parsed, stake, returns) {
+  if (!parsed) return parsed;
+  const scaled = { ...parsed };
+  if (stake != null) {
+    scaled.stake = stake;
+    scaled.returns = (parsed.returns * stake) / parsed.stake;
+  }
+  if (returns != null) scaled.returns = returns;
+  return scaled;
 }
 
 // ---------- Public logging functions ----------
 
-async function logBetPlaced({ message, channelName }) {
+async function logBetPlaced({ message, channelName, author }) {
   try {
-    if (!message || !sameOrAfterCutoff(message.createdAt)) return;
+    if (!message || !sameOrAfterCutoff(message.createdAt, message.guildId)) return;
     const parsed = parseBetText(message.content || "");
-    const { tab, row } = buildRow({
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: message.guildId,
       when: message.createdAt,
       event: "BET_PLACED",
       parsed,
       channelName,
       fullText: message.content || "",
-      authorTag: message.author?.tag,
-      authorId: message.author?.id,
+      authorTag: (author || message.author)?.tag,
+      authorId: (author || message.author)?.id,
       link: messageLink(message),
       messageId: message.id,
     });
-    await appendRow(tab, row);
+    await appendRow(spreadsheetId, tab, row);
   } catch (e) {
     console.warn("[logging] logBetPlaced error:", e?.message || e);
   }
 }
 
-async function logCashOut({ message, originalMessage, cashoutAmount, gainLoss }) {
+async function logCashOut({
+  message,
+  originalMessage,
+  author,
+  cashoutAmount,
+  gainLoss,
+  stake,
+  partial = false,
+  resolvedBy,
+}) {
   try {
     const when = originalMessage?.createdAt || new Date();
-    if (!sameOrAfterCutoff(when)) return;
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
 
-    const parsed = parseBetText((originalMessage && originalMessage.content) || "");
-    const { tab, row } = buildRow({
+    const parsed = withStake(parseBetText((originalMessage && originalMessage.content) || ""), stake);
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
       when,
-      event: "CASH_OUT",
+      event: partial ? "PARTIAL_CASH_OUT" : "CASH_OUT",
       parsed,
       channelName: message?.channel?.name || "",
       fullText: (originalMessage && originalMessage.content) || "",
-      authorTag: originalMessage?.author?.tag || "",
-      authorId: originalMessage?.author?.id || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
       link: messageLink(originalMessage),
       messageId: originalMessage?.id || "",
       cashout: cashoutAmount != null ? cashoutAmount : null,
       gainLoss: gainLoss != null ? gainLoss : null,
+      resolvedBy,
     });
-    await appendRow(tab, row);
+    await appendRow(spreadsheetId, tab, row);
   } catch (e) {
     console.warn("[logging] logCashOut error:", e?.message || e);
   }
 }
 
-async function logVoid({ message, originalMessage }) {
+async function logVoid({ message, originalMessage, author, resolvedBy }) {
   try {
     const when = originalMessage?.createdAt || new Date();
-    if (!sameOrAfterCutoff(when)) return;
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
 
     const parsed = parseBetText((originalMessage && originalMessage.content) || "");
-    const { tab, row } = buildRow({
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
       when,
       event: "VOID",
       parsed,
       channelName: message?.channel?.name || "",
       fullText: (originalMessage && originalMessage.content) || "",
-      authorTag: originalMessage?.author?.tag || "",
-      authorId: originalMessage?.author?.id || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
       link: messageLink(originalMessage),
       messageId: originalMessage?.id || "",
       cashout: 0,
       gainLoss: 0,
+      resolvedBy,
     });
-    await appendRow(tab, row);
+    await appendRow(spreadsheetId, tab, row);
   } catch (e) {
     console.warn("[logging] logVoid error:", e?.message || e);
   }
 }
 
 // success / failure logging (cashout fields left blank)
-async function logSuccess({ message, originalMessage }) {
+async function logSuccess({ message, originalMessage, author, stake, returns, resolvedBy }) {
   try {
     const when = originalMessage?.createdAt || new Date();
-    if (!sameOrAfterCutoff(when)) return;
-
-    const parsed = parseBetText((originalMessage && originalMessage.content) || "");
-    const { tab, row } = buildRow({
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
+
+    const parsed = withStake(
+      parseBetText((originalMessage && originalMessage.content) || ""),
+      stake,
+      returns
+    );
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
       when,
       event: "SUCCESS",
       parsed,
       channelName: message?.channel?.name || "",
       fullText: (originalMessage && originalMessage.content) || "",
-      authorTag: originalMessage?.author?.tag || "",
-      authorId: originalMessage?.author?.id || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
       link: messageLink(originalMessage),
       messageId: originalMessage?.id || "",
       cashout: null,
       gainLoss: null,
+      resolvedBy,
     });
-    await appendRow(tab, row);
+    await appendRow(spreadsheetId, tab, row);
   } catch (e) {
     console.warn("[logging] logSuccess error:", e?.message || e);
   }
 }
 
-async function logFailure({ message, originalMessage }) {
+async function logFailure({ message, originalMessage, author, stake, resolvedBy }) {
   try {
     const when = originalMessage?.createdAt || new Date();
-    if (!sameOrAfterCutoff(when)) return;
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
 
-    const parsed = parseBetText((originalMessage && originalMessage.content) || "");
-    const { tab, row } = buildRow({
+    const parsed = withStake(parseBetText((originalMessage && originalMessage.content) || ""), stake);
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
       when,
       event: "FAILURE",
       parsed,
       channelName: message?.channel?.name || "",
       fullText: (originalMessage && originalMessage.content) || "",
-      authorTag: originalMessage?.author?.tag || "",
-      authorId: originalMessage?.author?.id || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
       link: messageLink(originalMessage),
       messageId: originalMessage?.id || "",
       cashout: null,
       gainLoss: null,
+      resolvedBy,
     });
-    await appendRow(tab, row);
+    await appendRow(spreadsheetId, tab, row);
   } catch (e) {
     console.warn("[logging] logFailure error:", e?.message || e);
   }
 }
 
+// A settlement was undone (reaction removed / replaced, $amount reply deleted).
+// Appends a correcting row; the original row is left as-is. Pass the original
+// row's cashout / gainLoss and they're written negated so sums net to zero.
+async function logReversal({
+  message,
+  originalMessage,
+  author,
+  reversedEvent,
+  cashout,
+  gainLoss,
+  stake,
+  resolvedBy,
+}) {
+  try {
+    const when = originalMessage?.createdAt || new Date();
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
+
+    const parsed = withStake(parseBetText((originalMessage && originalMessage.content) || ""), stake);
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
+      when: new Date(),
+      event: "REVERSAL",
+      parsed,
+      channelName: message?.channel?.name || "",
+      fullText: (originalMessage && originalMessage.content) || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
+      link: messageLink(originalMessage),
+      messageId: originalMessage?.id || "",
+      cashout: cashout != null ? -cashout : null,
+      gainLoss: gainLoss != null ? -gainLoss : null,
+      notes: `Reverses ${reversedEvent}`,
+      resolvedBy,
+    });
+    await appendRow(spreadsheetId, tab, row);
+  } catch (e) {
+    console.warn("[logging] logReversal error:", e?.message || e);
+  }
+}
+
+// "Stake: $10 -> $12; Odds: -210 -> -200" for the fields an edit changed
+function describeEdit(beforeText, afterText) {
+  const before = parseBetText(beforeText || "");
+  const after = parseBetText(afterText || "");
+  if (!before || !after) return `Before: ${beforeText || "(unknown)"}`;
+
+  const money = (n) => `$${to2(n).toFixed(2)}`;
+  const fields = [
+    ["Initials", "initials", String],
+    ["Bettor", "bettor", String],
+    ["Market", "market", String],
+    ["Odds", "odds", String],
+    ["Stake", "stake", money],
+    ["Returns", "returns", money],
+  ];
+  const changes = fields
+    .filter(([, key]) => before[key] !== after[key])
+    .map(([label, key, fmt]) => `${label}: ${fmt(before[key])} -> ${fmt(after[key])}`);
+  return changes.length ? changes.join("; ") : "Text changed";
+}
+
+// Bet edited: re-parse and rewrite its BET_PLACED row (appends one if the
+// placement was never logged), then append an EDIT row carrying the new values
+// with the before -> after changes in Notes.
+async function logBetEdited({ message, author, previousContent }) {
+  try {
+    if (!message || !sameOrAfterCutoff(message.createdAt, message.guildId)) return;
+    const parsed = parseBetText(message.content || "");
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: message.guildId,
+      when: message.createdAt,
+      event: "BET_PLACED",
+      parsed,
+      channelName: message.channel?.name || "",
+      fullText: message.content || "",
+      authorTag: (author || message.author)?.tag,
+      authorId: (author || message.author)?.id,
+      link: messageLink(message),
+      messageId: message.id,
+      notes: `Edited ${new Date().toISOString()}`,
+    });
+
+    enqueue("rewrite", { spreadsheetId, tab, messageId: message.id, values: row }, {
+      messageId: message.id,
+    });
+
+    const edit = buildRow({
+      guildId: message.guildId,
+      when: new Date(),
+      event: "EDIT",
+      parsed,
+      channelName: message.channel?.name || "",
+      fullText: message.content || "",
+      authorTag: (author || message.author)?.tag,
+      authorId: (author || message.author)?.id,
+      link: messageLink(message),
+      messageId: message.id,
+      notes: describeEdit(previousContent, message.content),
+    });
+    await appendRow(edit.spreadsheetId, edit.tab, edit.row);
+  } catch (e) {
+    console.warn("[logging] logBetEdited error:", e?.message || e);
+  }
+}
+
+// Bet deleted: annotate its BET_PLACED row (the row is kept) and append a
+// CANCELLED row copied from it so the site can drop the bet.
+async function logBetDeleted({ guildId, messageId }) {
+  try {
+    const spreadsheetId = spreadsheetFor(guildId);
+    const tab = tabFor(guildId, messageDate(messageId) || new Date());
+    const at = new Date().toISOString();
+    enqueue("cancel", { spreadsheetId, tab, messageId, at }, { messageId });
+  } catch (e) {
+    console.warn("[logging] logBetDeleted error:", e?.message || e);
+  }
+}
+
+// Group proposal closed at its voting deadline (policy.js) without reaching a
+// decision: nothing was staked, so cashout / gain-loss stay blank.
+async function logExpired({ originalMessage, author, notes = "" }) {
+  try {
+    const when = originalMessage?.createdAt || new Date();
+    if (!sameOrAfterCutoff(when, originalMessage?.guildId)) return;
+
+    const parsed = parseBetText((originalMessage && originalMessage.content) || "");
+    const { spreadsheetId, tab, row } = buildRow({
+      guildId: originalMessage?.guildId,
+      when: new Date(),
+      event: "EXPIRED",
+      parsed,
+      channelName: originalMessage?.channel?.name || "",
+      fullText: (originalMessage && originalMessage.content) || "",
+      authorTag: (author || originalMessage?.author)?.tag || "",
+      authorId: (author || originalMessage?.author)?.id || "",
+      link: messageLink(originalMessage),
+      messageId: originalMessage?.id || "",
+      notes,
+    });
+    await appendRow(spreadsheetId, tab, row);
+  } catch (e) {
+    console.warn("[logging] logExpired error:", e?.message || e);
+  }
+}
+
+// ---------- Parlay legs ----------
+
+// One Legs-tab row; `results` ({ [legNumber]: result }) are the legs settled so far
+function buildLegRow({ message, parsed, legNumber, result, results = {}, when }) {
+  const leg = parsed.legs[legNumber - 1];
+  const combined = combinedOdds(parsed.legs, results);
+  const returns = to2(parlayReturns(parsed, results));
+  return [
+    new Date(when).toISOString(), // A
+    result.toUpperCase(),         // B
+    message.id,                   // C
+    legNumber,                    // D
+    leg.market,                   // E
+    leg.odds,                     // F
+    leg.decimalOdds,              // G
+    combined.american ?? "",      // H
+    returns,                      // I
+    parsed.initials,              // J
+    parsed.bettor,                // K
+    messageLink(message),         // L
+  ];
+}
+
+// Parlay placed: an OPEN row for each leg
+async function logLegsPlaced({ message }) {
+  try {
+    if (!message || !sameOrAfterCutoff(message.createdAt, message.guildId)) return;
+    const parsed = parseBetText(message.content || "");
+    if (!parsed?.legs) return;
+
+    const spreadsheetId = spreadsheetFor(message.guildId);
+    const tab = legsTabFor(message.guildId, message.createdAt);
+    for (let n = 1; n <= parsed.legs.length; n++) {
+      const row = buildLegRow({
+        message,
+        parsed,
+        legNumber: n,
+        result: "open",
+        when: message.createdAt,
+      });
+      await appendRow(spreadsheetId, tab, row, LEGS_LAYOUT);
+    }
+  } catch (e) {
+    console.warn("[logging] logLegsPlaced error:", e?.message || e);
+  }
+}
+
+// A leg settled (won | lost | push | void); Combined Odds / Returns reflect
+// every leg settled so far
+async function logLegResult({ originalMessage, legNumber, result, results }) {
+  try {
+    if (!originalMessage || !sameOrAfterCutoff(originalMessage.createdAt, originalMessage.guildId)) return;
+    const parsed = parseBetText(originalMessage.content || "");
+    if (!parsed?.legs?.[legNumber - 1]) return;
+
+    const row = buildLegRow({
+      message: originalMessage,
+      parsed,
+      legNumber,
+      result,
+      results,
+      when: new Date(),
+    });
+    const guildId = originalMessage.guildId;
+    const tab = legsTabFor(guildId, originalMessage.createdAt);
+    await appendRow(spreadsheetFor(guildId), tab, row, LEGS_LAYOUT);
+  } catch (e) {
+    console.warn("[logging] logLegResult error:", e?.message || e);
+  }
+}
+
+// ---------- Backfill ----------
+// backfill.js rebuilds rows for events missed while the bot was offline from
+// the channel history. There's no cutoff check here: going back is the point.
+
+// A recovered event's row -> { spreadsheetId, tab, row }. Timestamped with the
+// bet like the live rows; `stake` / `returns` as for logSuccess.
+function backfillRow({ message, author, event, cashout = null, gainLoss = null, stake, returns }) {
+  const parsed = withStake(parseBetText(message.content || ""), stake, returns);
+  return buildRow({
+    guildId: message.guildId,
+    when: message.createdAt,
+    event,
+    parsed,
+    channelName: message.channel?.name || "",
+    fullText: message.content || "",
+    authorTag: (author || message.author)?.tag || "",
+    authorId: (author || message.author)?.id || "",
+    link: messageLink(message),
+    messageId: message.id,
+    cashout,
+    gainLoss,
+    notes: `Backfilled ${new Date().toISOString()}`,
+  });
+}
+
+// What each backend has on a tab: Map(backend name -> rows, or null if it
+// couldn't be read)
+async function loggedRows(spreadsheetId, tab) {
+  const result = new Map();
+  for (const backend of backends.getBackends()) {
+    try {
+      result.set(backend.name, await backend.readRows(spreadsheetId, tab, BETS_LAYOUT));
+    } catch (e) {
+      console.warn(`[logging] ${backend.name} readRows failed:`, e?.message || e);
+      result.set(backend.name, null);
+    }
+  }
+  return result;
+}
+
+// Queue a backfilled row for one backend, which already holds `existing` rows
+// with the same Message ID + Event
+function appendBackfillRow({ spreadsheetId, tab, row }, backend, existing = 0) {
+  appendRow(spreadsheetId, tab, row, BETS_LAYOUT, { backend, existing });
+}
+
+// ---------- Rollover ----------
+
+// Create (and format) the guild's tab for the period containing `when`.
+// Returns the tab name, or null if logging is off for the guild.
+async function prepareTabs(guildId, when = new Date()) {
+  try {
+    const spreadsheetId = spreadsheetFor(guildId);
+    const tab = tabFor(guildId, when);
+    return (await ensureTabs(spreadsheetId, tab)) ? tab : null;
+  } catch (e) {
+    console.warn("[logging] prepareTabs error:", e?.message || e);
+    return null;
+  }
+}
+
 module.exports = {
-  parseBetText,
+  prepareTabs,
   logBetPlaced,
+  logBetEdited,
+  logBetDeleted,
+  logExpired,
+  logReversal,
   logCashOut,
   logVoid,
   logSuccess,
   logFailure,
+  logLegsPlaced,
+  logLegResult,
+  backfillRow,
+  loggedRows,
+  appendBackfillRow,
 };
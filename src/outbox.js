@@ -0,0 +1,272 @@
+// src/outbox.js
+// Durable outbox between logging.js and the logging backends, so a Sheets
+// outage delays rows instead of losing them.
+// ----------------------------------------------------
+// Every write is saved locally (the "outbox" store) before anything is sent,
+// one entry per configured backend. Each backend's entries are then delivered
+// strictly in order: if the oldest one fails it is retried with backoff (up to
+// RETRY_MAX_MS apart) for as long as it takes, and nothing behind it jumps the
+// queue, so an outage only delays rows. The one exception is an error retrying
+// can't fix: a 4xx from the backend (bad range, deleted tab, 403; not 408 / 429).
+// That entry is parked and the queue moves on, so one bad row can't hold up
+// every guild's log; /logging status lists parked entries and /logging retry
+// queues them again. Entries survive restarts.
+//
+// De-duplication (Message ID + event, logging.js passes it as `key`):
+//   - a write identical to the message's last pending one for that backend is
+//     dropped (handlers that fire twice during an outage); a settle, reverse,
+//     settle sequence still queues both settlements
+//   - an entry that failed before (or was left queued by the last run) is
+//     checked against the backend before it's sent again (`delivered`), since a
+//     timed-out write may have landed anyway.
+//     `occurrence` counts the key per backend, so a bet settled, reversed and
+//     settled again still gets its second SUCCESS row. A key's count is dropped
+//     once nothing with it is queued and it hasn't been used for COUNT_TTL_MS.
+//
+// Batching: a write waits BATCH_WINDOW_MS before the queue is drained, so a burst
+// (a parlay's legs, a recap, a settle + cash-out) goes out together. Ops with
+// `deliverBatch` get up to MAX_BATCH consecutive entries of that op at once;
+// a failed batch is retried one entry at a time, each checked with `delivered`.
+//
+// Ops are registered by logging.js: registerOp(name, { deliver, deliverBatch?, delivered? })
+//   deliver(backend, payload)               -> writes, throws on failure
+//   deliverBatch(backend, payloads)         -> writes them in order, throws on failure
+//   delivered(backend, payload, occurrence) -> true if the write already landed
+
+const { openStore } = require('./store.js');
+const { getBackends } = require('./backends/index.js');
+
+const store = openStore('outbox');
+const state = openStore('outbox-state');
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const BATCH_WINDOW_MS = 500;
+const MAX_BATCH = 50;
+const COUNT_TTL_MS = 30 * 24 * 3600 * 1000;
+
+const ops = new Map();
+const running = new Set(); // backends being drained
+const timers = new Map(); // backend -> pending drain (batch window or retry)
+let delivered = 0; // since startup
+
+// Entries queued before this process started may have been sent just before it
+// stopped, so they get the same check as a retry
+const startSeq = state.get('seq') || 0;
+
+function registerOp(name, handlers) {
+  ops.set(name, handlers);
+}
+
+// Queued entries for `backend`, oldest first (`parked`: the ones given up on instead)
+function entriesFor(backend, { parked = false } = {}) {
+  return store
+    .values()
+    .filter((e) => e.backend === backend && !!e.parkedAt === parked)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+function nextSeq() {
+  const seq = (state.get('seq') || 0) + 1;
+  state.set('seq', seq);
+  return seq;
+}
+
+// Times `key` has been queued for `backend` (this one included). `existing` is
+// how many rows with the key the backend is known to hold already (backfill).
+// counts: { "<backend>|<key>": { n, at } } (older runs saved just n)
+function nextOccurrence(backend, key, existing = 0) {
+  const counts = state.get('counts') || {};
+  const id = `${backend}|${key}`;
+  const n = Math.max(counts[id]?.n ?? counts[id] ?? 0, existing) + 1;
+  counts[id] = { n, at: new Date().toISOString() };
+  state.set('counts', counts);
+  return n;
+}
+
+// Forget the counts of keys with nothing queued that haven't been used for a while
+function pruneCounts() {
+  const counts = state.get('counts') || {};
+  const queued = new Set(store.values().map((e) => `${e.backend}|${e.key}`));
+  const cutoff = Date.now() - COUNT_TTL_MS;
+  let pruned = 0;
+  for (const [id, count] of Object.entries(counts)) {
+    if (queued.has(id) || new Date(count.at || 0).getTime() > cutoff) continue;
+    delete counts[id];
+    pruned += 1;
+  }
+  if (pruned) state.set('counts', counts);
+}
+
+function isRepeat(last, op, payload) {
+  return last?.op === op && JSON.stringify(last.payload) === JSON.stringify(payload);
+}
+
+// Queue `op` for every configured backend (or just `backend`) and start
+// delivering. `messageId` groups a bet's writes for de-duplication, `key`
+// counts occurrences (`existing`: see nextOccurrence).
+function enqueue(op, payload, { key = null, messageId = null, backend = null, existing = 0 } = {}) {
+  for (const { name } of getBackends()) {
+    if (backend && name !== backend) continue;
+    const last = messageId && entriesFor(name).filter((e) => e.messageId === messageId).at(-1);
+    if (isRepeat(last, op, payload)) continue;
+
+    const seq = nextSeq();
+    store.set(String(seq), {
+      seq,
+      backend: name,
+      op,
+      messageId,
+      key,
+      occurrence: key ? nextOccurrence(name, key, existing) : null,
+      payload,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null,
+    });
+  }
+  for (const { name } of getBackends()) schedule(name, BATCH_WINDOW_MS);
+}
+
+// Drain `name` after `delay` unless a drain is already running or pending
+function schedule(name, delay) {
+  if (running.has(name) || timers.has(name)) return;
+  timers.set(
+    name,
+    setTimeout(() => {
+      timers.delete(name);
+      drain(name);
+    }, delay)
+  );
+}
+
+// A 4xx (the API's HTTP status) fails the same way however often it's retried;
+// timeouts, rate limits, 5xx and network errors don't
+function isPermanent(err) {
+  const status = Number(err?.response?.status ?? err?.status ?? err?.code);
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// Count the failed attempt; a single entry the backend rejects outright is
+// parked (a batch is retried entry by entry first, to find the bad one)
+function recordError(batch, err) {
+  const message = err?.message || String(err);
+  const at = new Date().toISOString();
+  for (const entry of batch) {
+    entry.attempts += 1;
+    entry.lastError = message;
+    if (batch.length === 1 && isPermanent(err)) entry.parkedAt = at;
+    store.set(String(entry.seq), entry);
+  }
+  const [head] = batch;
+  state.set('lastError', { backend: head.backend, message, at });
+  const what = batch.length > 1 ? `${head.op} x${batch.length}` : head.op;
+  const next = head.parkedAt ? 'parked' : 'will retry';
+  console.warn(
+    `[logging] ${head.backend} ${what} failed (attempt ${head.attempts}), ${next}:`,
+    message
+  );
+}
+
+// The oldest entry, plus the entries of the same op right behind it when that
+// op can be sent in bulk (not after a failure, so a bad entry is found alone)
+function nextBatch(name) {
+  const entries = entriesFor(name);
+  if (!entries.length || entries[0].attempts || !ops.get(entries[0].op)?.deliverBatch) {
+    return entries.slice(0, 1);
+  }
+  const end = entries.findIndex((e, i) => i >= MAX_BATCH || e.op !== entries[0].op);
+  return end === -1 ? entries : entries.slice(0, end);
+}
+
+async function deliver(backend, batch) {
+  const handlers = ops.get(batch[0].op);
+  if (!handlers) throw new Error(`unknown outbox op "${batch[0].op}"`);
+  const pending = [];
+  for (const entry of batch) {
+    if ((entry.lastError || entry.seq <= startSeq) && handlers.delivered) {
+      if (await handlers.delivered(backend, entry.payload, entry.occurrence)) continue;
+    }
+    pending.push(entry);
+  }
+  if (!pending.length) return;
+  if (handlers.deliverBatch) await handlers.deliverBatch(backend, pending.map((e) => e.payload));
+  else await handlers.deliver(backend, pending[0].payload);
+}
+
+// Send `name`'s entries in order until the queue is empty or one fails
+async function drain(name) {
+  if (running.has(name) || timers.has(name)) return;
+  const backend = getBackends().find((b) => b.name === name);
+  if (!backend) return;
+
+  running.add(name);
+  try {
+    for (let batch = nextBatch(name); batch.length; batch = nextBatch(name)) {
+      try {
+        await deliver(backend, batch);
+      } catch (err) {
+        recordError(batch, err);
+        // Parked: carry on with the next entry
+        if (batch[0].parkedAt) continue;
+        running.delete(name);
+        schedule(name, Math.min(RETRY_BASE_MS * 2 ** (batch[0].attempts - 1), RETRY_MAX_MS));
+        return;
+      }
+      for (const entry of batch) store.delete(String(entry.seq));
+      delivered += batch.length;
+      state.set('lastDeliveredAt', new Date().toISOString());
+    }
+    pruneCounts();
+  } finally {
+    running.delete(name);
+  }
+}
+
+// Deliver whatever a previous run left queued
+function startOutbox() {
+  for (const { name } of getBackends()) drain(name);
+}
+
+// Queue every parked entry again (after fixing what made it fail); returns how
+// many. `lastError` stays, so each is still checked with `delivered` first.
+function retryParked() {
+  const parked = store.values().filter((e) => e.parkedAt);
+  for (const entry of parked) {
+    store.set(String(entry.seq), { ...entry, parkedAt: null, attempts: 0 });
+  }
+  for (const { name } of getBackends()) schedule(name, BATCH_WINDOW_MS);
+  return parked.length;
+}
+
+// -> { backends: [{ name, depth, oldestAt, attempts, lastError, configured, parked }],
+//      depth, delivered, lastDeliveredAt, lastError }
+//   parked: [{ op, messageId, parkedAt, attempts, lastError }], oldest first
+function outboxStatus() {
+  const configured = new Set(getBackends().map((b) => b.name));
+  const names = new Set([...configured, ...store.values().map((e) => e.backend)]);
+  const backends = [...names].map((name) => {
+    const entries = entriesFor(name);
+    return {
+      name,
+      configured: configured.has(name),
+      depth: entries.length,
+      oldestAt: entries[0]?.queuedAt || null,
+      attempts: entries[0]?.attempts || 0,
+      lastError: entries[0]?.lastError || null,
+      parked: entriesFor(name, { parked: true }).map(
+        ({ op, messageId, parkedAt, attempts, lastError }) =>
+          ({ op, messageId, parkedAt, attempts, lastError })
+      ),
+    };
+  });
+  return {
+    backends,
+    depth: store.values().filter((e) => !e.parkedAt).length,
+    delivered,
+    lastDeliveredAt: state.get('lastDeliveredAt') || null,
+    lastError: state.get('lastError') || null,
+  };
+}
+
+module.exports = { registerOp, enqueue, startOutbox, retryParked, outboxStatus };
@@ -0,0 +1,111 @@
+// src/permissions.js
+// Who may settle bets and vote on group bets, per the guild's /config
+// permissions (guildConfig.js). With no roles set anyone can do anything, as
+// before.
+// ----------------------------------------------------
+// Settling covers ✅/❌, `$amount` / `$5 of $10` replies, parlay leg replies
+// and the /bet settle | leg | cashout | void commands:
+//   individual bets -> the bettor, or a member with the bookkeeper role
+//   group bets      -> members with the treasurer role
+// Votes (👍/👎 and the Vote buttons) only count from members with the voter role.
+// Group bet money (/split shares, /settleup mark_paid) -> the treasurer role;
+// with no treasurer role set, only server managers.
+// Members who can manage the server are always allowed, so a missing role
+// can't lock a bet.
+//
+// settleDenied / voteDenied return why a member can't (null if they can). The
+// handlers undo the attempt and tell the member by DM (refuseReaction /
+// refuseReply / refuseRemoval); commands and buttons reply ephemerally instead.
+// Taking a ✅/❌ off reverses a settlement, so it needs settleDenied too.
+
+const { PermissionFlagsBits } = require('discord.js');
+const { getConfig } = require('./guildConfig.js');
+const { parseBetText } = require('./betParser.js');
+const { getBet, getBetAuthorId } = require('./bets.js');
+
+async function fetchMember(guild, user) {
+  return guild.members.fetch(user.id).catch(() => null);
+}
+
+function isManager(member) {
+  return !!member?.permissions?.has(PermissionFlagsBits.ManageGuild);
+}
+
+// Role name for messages (DMs can't show role mentions)
+function roleName(guild, roleId) {
+  const name = guild.roles?.cache?.get(roleId)?.name;
+  return name ? `the **${name}** role` : 'the required role';
+}
+
+// Why `user` can't settle / cash out / void the bet `msg` (null if they can)
+async function settleDenied(msg, user) {
+  const { bookkeeperRoleId, treasurerRoleId } = getConfig(msg.guildId).permissions;
+  const group = !!getBet(msg.id)?.group || parseBetText(msg.content ?? '')?.kind === 'Group';
+  const roleId = group ? treasurerRoleId : bookkeeperRoleId;
+  if (!roleId) return null;
+  if (!group && getBetAuthorId(msg) === user.id) return null;
+
+  const member = await fetchMember(msg.guild, user);
+  if (member?.roles.cache.has(roleId) || isManager(member)) return null;
+
+  const role = roleName(msg.guild, roleId);
+  return group
+    ? `Only members with ${role} can settle group bets.`
+    : `Only the bettor or members with ${role} can settle this bet.`;
+}
+
+// Why `user`'s vote on a group bet in `guild` doesn't count (null if it does)
+async function voteDenied(guild, user) {
+  const { voterRoleId } = getConfig(guild.id).permissions;
+  if (!voterRoleId) return null;
+
+  const member = await fetchMember(guild, user);
+  if (member?.roles.cache.has(voterRoleId) || isManager(member)) return null;
+  return `Only members with ${roleName(guild, voterRoleId)} can vote on group bets.`;
+}
+
+// Why `user` can't `what` ("mark debts paid") on group bet money (null if they can)
+async function treasurerDenied(guild, user, what) {
+  const { treasurerRoleId } = getConfig(guild.id).permissions;
+  const member = await fetchMember(guild, user);
+  if (isManager(member)) return null;
+  if (treasurerRoleId && member?.roles.cache.has(treasurerRoleId)) return null;
+  return treasurerRoleId
+    ? `Only members with ${roleName(guild, treasurerRoleId)} can ${what}.`
+    : `Only members who can manage the server can ${what}.`;
+}
+
+// ---------- Refusals ----------
+
+// DM is the only private channel a reaction or reply leaves us
+async function tell(user, guild, text) {
+  try {
+    await user.send(`${text} (${guild.name})`);
+  } catch {
+    // DMs closed: the removed reaction / reply is all they get
+  }
+}
+
+async function refuseReaction(reaction, user, reason) {
+  await reaction.users.remove(user.id).catch(() => {});
+  await tell(user, reaction.message.guild, `${reason} Your reaction was removed.`);
+}
+
+async function refuseReply(message, reason) {
+  await message.delete().catch(() => {});
+  await tell(message.author, message.guild, `${reason} Your reply was deleted.`);
+}
+
+// A removed ✅/❌ can't be put back as theirs; the settlement just isn't reversed
+async function refuseRemoval(reaction, user, reason) {
+  await tell(user, reaction.message.guild, `${reason} The settlement stands.`);
+}
+
+module.exports = {
+  settleDenied,
+  voteDenied,
+  treasurerDenied,
+  refuseReaction,
+  refuseReply,
+  refuseRemoval,
+};
@@ -0,0 +1,151 @@
+// src/policy.js
+// Per-guild group bet voting policy (replaces the hardcoded 3-person rules).
+// ----------------------------------------------------
+// Policy shape (stored per guild id, unset fields fall back to DEFAULT_POLICY):
+// {
+//   proposerCounts: boolean,        // proposer's implicit 👍 counts towards "For"
+//   passMode: "count" | "percent",  // absolute number of For votes, or % of eligible members
+//   passValue: number,
+//   failMode: "count" | "percent",  // same, for Against votes
+//   failValue: number,
+//   eligibleRoleId: string | null,  // who "eligible" means for percent rules (default: the
+//                                   // voter role from /config permissions, else all humans)
+//   minTurnout: number,             // total votes needed before anything is decided
+//   deadlineHours: number | null,   // close voting this long after the proposal
+//   deadlineAction: "expire" | "fail" | "pass", // what undecided proposals do at the deadline
+// }
+//
+// The defaults reproduce the original rules: proposer + 1 more 👍 passes,
+// 2 👎 rejects. On top of that, stale proposals don't stay open forever: one
+// still undecided after DEFAULT_DEADLINE_HOURS is rejected (auto-fail). Guilds
+// can change the deadline, close undecided proposals as "Expired" or auto-pass
+// them instead, or turn the deadline off (/voting set deadline_hours:0).
+
+const { openStore } = require('./store.js');
+const { getConfig } = require('./guildConfig.js');
+
+const store = openStore('voting');
+
+const DEFAULT_DEADLINE_HOURS = 48;
+
+const DEFAULT_POLICY = {
+  proposerCounts: true,
+  passMode: 'count',
+  passValue: 2,
+  failMode: 'count',
+  failValue: 2,
+  eligibleRoleId: null,
+  minTurnout: 0,
+  deadlineHours: DEFAULT_DEADLINE_HOURS,
+  deadlineAction: 'fail',
+};
+
+function getPolicy(guildId) {
+  return { ...DEFAULT_POLICY, ...(store.get(guildId) || {}) };
+}
+
+function setPolicy(guildId, patch) {
+  const next = { ...(store.get(guildId) || {}), ...patch };
+  store.set(guildId, next);
+  return getPolicy(guildId);
+}
+
+function resetPolicy(guildId) {
+  store.delete(guildId);
+  return getPolicy(guildId);
+}
+
+// How many members can vote (used by percent rules). The proposer only counts
+// when their implicit vote does.
+async function eligibleCount(guild, policy, proposerId) {
+  let members;
+  try {
+    members = await guild.members.fetch();
+  } catch {
+    members = guild.members.cache;
+  }
+
+  // Only the voter role's votes count (permissions.js), so only they are eligible
+  const roleId = policy.eligibleRoleId || getConfig(guild.id).permissions.voterRoleId;
+  let eligible = members.filter((m) => !m.user.bot);
+  if (roleId) {
+    eligible = eligible.filter((m) => m.roles.cache.has(roleId));
+  }
+  if (!policy.proposerCounts) {
+    eligible = eligible.filter((m) => m.id !== proposerId);
+  }
+  return eligible.size;
+}
+
+function threshold(mode, value, eligible) {
+  if (mode === 'percent') return Math.max(1, Math.ceil((value / 100) * eligible));
+  return Math.max(1, value);
+}
+
+// Current standing of a proposal under the guild's policy:
+// { forCount, againstCount, passNeeded, failNeeded, passRemaining,
+//   turnoutRemaining, passed, failed }
+async function tally(guild, state, policy = getPolicy(guild.id)) {
+  const needsPool = policy.passMode === 'percent' || policy.failMode === 'percent';
+  const eligible = needsPool ? await eligibleCount(guild, policy, state.proposerId) : 0;
+
+  const forCount = state.upvoters.size + (policy.proposerCounts ? 1 : 0);
+  const againstCount = state.downvoters.size;
+  const passNeeded = threshold(policy.passMode, policy.passValue, eligible);
+  const failNeeded = threshold(policy.failMode, policy.failValue, eligible);
+  const turnoutRemaining = Math.max(0, policy.minTurnout - (forCount + againstCount));
+
+  return {
+    forCount,
+    againstCount,
+    passNeeded,
+    failNeeded,
+    passRemaining: Math.max(0, passNeeded - forCount),
+    turnoutRemaining,
+    passed: forCount >= passNeeded && turnoutRemaining === 0,
+    failed: againstCount >= failNeeded && turnoutRemaining === 0,
+  };
+}
+
+// "**1 more** vote to pass" (+ turnout note when that's also a blocker),
+// used as "Requires …" in the proposal and "requires …" in vote notices
+function describeRemaining(t) {
+  const parts = [];
+  if (t.passRemaining > 0) {
+    parts.push(`**${t.passRemaining} more** vote${t.passRemaining === 1 ? '' : 's'} to pass`);
+  }
+  if (t.turnoutRemaining > 0) {
+    parts.push(
+      `**${t.turnoutRemaining} more** vote${t.turnoutRemaining === 1 ? '' : 's'} to reach quorum`
+    );
+  }
+  return parts.length ? parts.join(' and ') : 'no more votes';
+}
+
+const DEADLINE_ACTIONS = { expire: 'expire', fail: 'auto-fail', pass: 'auto-pass' };
+
+function describePolicy(policy) {
+  const rule = (mode, value) => (mode === 'percent' ? `${value}% of eligible` : `${value}`);
+  return [
+    `Pass: ${rule(policy.passMode, policy.passValue)} For votes`,
+    `Reject: ${rule(policy.failMode, policy.failValue)} Against votes`,
+    `Proposer's vote counts: ${policy.proposerCounts ? 'yes' : 'no'}`,
+    `Eligible role: ${policy.eligibleRoleId ? `<@&${policy.eligibleRoleId}>` : 'everyone'}`,
+    `Minimum turnout: ${policy.minTurnout || 'none'}`,
+    `Deadline: ${
+      policy.deadlineHours
+        ? `${policy.deadlineHours}h, then ${DEADLINE_ACTIONS[policy.deadlineAction]}`
+        : 'none'
+    }`,
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  setPolicy,
+  resetPolicy,
+  tally,
+  describeRemaining,
+  describePolicy,
+};
@@ -0,0 +1,172 @@
+// src/recap.js
+// Weekly / monthly recap embed for the output channel: bets placed, settled
+// and still open, net P&L per member and for group bets, the best and worst
+// bets, and group proposals still waiting on votes.
+// ----------------------------------------------------
+// A recap covers the period that just ended: the 7 days (weekly) or the month
+// (monthly) up to the moment it's posted, so a custom schedule (cron.js) still
+// gets a full period.
+
+const { EmbedBuilder } = require('discord.js');
+const { getOutputChannel } = require('./channels.js');
+const { getEmojis } = require('./guildConfig.js');
+const { fmtMoney } = require('./betText.js');
+const { parseBetText } = require('./betParser.js');
+const { listBets } = require('./bets.js');
+const { listEntries } = require('./ledger.js');
+const { betUrl, openBets, openProposals } = require('./reminders.js');
+const { fitLines } = require('./commands/format.js');
+
+// Lines per list in the embed (fields cap out at 1024 characters)
+const MAX_LINES = 8;
+
+function signed(n) {
+  return `${n < 0 ? '-' : '+'}$${fmtMoney(Math.abs(n))}`;
+}
+
+// { from, to, label } for the recap ending at `now`
+function recapWindow(kind, now = new Date()) {
+  const from = new Date(now);
+  if (kind === 'monthly') from.setUTCMonth(from.getUTCMonth() - 1);
+  else from.setUTCDate(from.getUTCDate() - 7);
+
+  const day = (d) => d.toISOString().slice(0, 10);
+  return {
+    from,
+    to: now,
+    label: `${kind === 'monthly' ? 'Monthly' : 'Weekly'} recap: ${day(from)} to ${day(now)}`,
+  };
+}
+
+// Everything the recap shows, as plain data
+function buildRecap(guildId, kind, now = new Date()) {
+  const { from, to, label } = recapWindow(kind, now);
+  const entries = listEntries(guildId, { from, to });
+  const bets = new Map(
+    listBets()
+      .filter((b) => b.guildId === guildId)
+      .map((b) => [b.messageId, b])
+  );
+
+  const placed = entries.filter((e) => e.type === 'stake');
+  const settles = entries.filter((e) => e.type === 'settle');
+  const money = entries.filter((e) => e.type === 'settle' || e.type === 'partial');
+
+  // Net P&L by member over the period; GB (group bets) is reported on its own
+  const pnl = new Map();
+  for (const e of money) {
+    const row = pnl.get(e.member) || { member: e.member, memberName: e.memberName, pnl: 0 };
+    row.pnl += e.pnl;
+    pnl.set(e.member, row);
+  }
+  const members = [...pnl.values()]
+    .filter((r) => r.member !== 'GB')
+    .sort((a, b) => b.pnl - a.pnl);
+
+  // Best / worst settled bet by P&L
+  const ranked = settles
+    .filter((e) => bets.has(e.betId))
+    .map((e) => ({ entry: e, bet: bets.get(e.betId) }))
+    .sort((a, b) => b.entry.pnl - a.entry.pnl);
+  const best = ranked[0]?.entry.pnl > 0 ? ranked[0] : null;
+  const worst = ranked.at(-1)?.entry.pnl < 0 ? ranked.at(-1) : null;
+
+  // Open right now (not just in the period)
+  const open = openBets(guildId);
+  const openStake = open.reduce((sum, o) => sum + o.stake, 0);
+  const proposals = openProposals(guildId);
+
+  return {
+    label,
+    placed: { count: placed.length, stake: placed.reduce((sum, e) => sum + e.stake, 0) },
+    settled: {
+      count: settles.length,
+      won: settles.filter((e) => e.outcome === 'SUCCESS').length,
+      lost: settles.filter((e) => e.outcome === 'FAILURE').length,
+    },
+    open: { count: open.length, stake: openStake },
+    members,
+    group: pnl.get('GB') || null,
+    best,
+    worst,
+    proposals,
+  };
+}
+
+function describeBet({ entry, bet }) {
+  const market = parseBetText(bet.content)?.market || 'bet';
+  return `**${entry.memberName}** ${market} ${signed(entry.pnl)} · [link](${betUrl(bet)})`;
+}
+
+function recapEmbed(guildId, recap) {
+  const total = recap.members.reduce((sum, r) => sum + r.pnl, 0) + (recap.group?.pnl || 0);
+  const { upvote, downvote } = getEmojis(guildId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(recap.label)
+    .setColor(total >= 0 ? 0x2ecc71 : 0xe74c3c)
+    .addFields(
+      {
+        name: 'Placed',
+        value: `${recap.placed.count} bets · $${fmtMoney(recap.placed.stake)}`,
+        inline: true,
+      },
+      {
+        name: 'Settled',
+        value:
+          `${recap.settled.count} bets · ${recap.settled.won}W ${recap.settled.lost}L` +
+          (recap.settled.count > recap.settled.won + recap.settled.lost ? ' + cash-outs' : ''),
+        inline: true,
+      },
+      {
+        name: 'Still open',
+        value: `${recap.open.count} bets · $${fmtMoney(recap.open.stake)}`,
+        inline: true,
+      }
+    );
+
+  const lines = recap.members
+    .slice(0, MAX_LINES)
+    .map((r) => `**${r.memberName}** (${r.member}) ${signed(r.pnl)}`);
+  const more = recap.members.length - MAX_LINES;
+  if (more > 0) lines.push(`…and ${more} more`);
+  embed.addFields(
+    { name: 'Net P&L by member', value: lines.join('\n') || 'No settled bets.' },
+    {
+      name: 'Group bets',
+      value: recap.group ? signed(recap.group.pnl) : 'No settled group bets.',
+    }
+  );
+
+  if (recap.best || recap.worst) {
+    embed.addFields({
+      name: 'Best / worst',
+      value: [
+        recap.best && `🔥 ${describeBet(recap.best)}`,
+        recap.worst && `🧊 ${describeBet(recap.worst)}`,
+      ]
+        .filter(Boolean)
+        .join('\n'),
+    });
+  }
+
+  // Each line carries a full message link, so cap the field by length, not count
+  const pending = recap.proposals.map((b) => {
+    const market = parseBetText(b.content)?.market || 'proposal';
+    const votes = `${upvote} ${b.group.upvoters.length} ${downvote} ${b.group.downvoters.length}`;
+    return `${market} · ${votes} · [vote](${betUrl(b)})`;
+  });
+  embed.addFields({ name: 'Pending group proposals', value: fitLines(pending) || 'None.' });
+
+  return embed;
+}
+
+// Build and post the recap; returns the posted message or null (no output channel)
+async function postRecap(guild, kind, now = new Date()) {
+  const target = await getOutputChannel(guild);
+  if (!target) return null;
+  const recap = buildRecap(guild.id, kind, now);
+  return target.send({ embeds: [recapEmbed(guild.id, recap)] });
+}
+
+module.exports = { recapWindow, buildRecap, recapEmbed, postRecap };
@@ -0,0 +1,159 @@
+// src/reminders.js
+// Bets and group proposals nobody has closed yet: the lists behind /open and
+// the recap's "still open" numbers, plus the reminders the scheduler sends
+// once a bet has been open longer than the guild's window (/config reminders).
+// ----------------------------------------------------
+// A bet is open while it's tracked, unsettled and not cancelled, and (group
+// bets) once its proposal has passed. Its age counts from the bet message.
+// Reminders are opt-in, and only cover bets placed since they were turned on
+// (config `enabledAt`), so enabling them doesn't DM everyone about old bets.
+// A bettor is reminded when a bet passes the window and again every further
+// window it stays open (bets.js remindedAt), with one message for all of their
+// due bets: by DM, falling back to a ping in the output channel when DMs are
+// closed (or the guild asked for channel pings).
+
+const { getOutputChannel } = require('./channels.js');
+const { getConfig, getEmojis } = require('./guildConfig.js');
+const { fmtMoney } = require('./betText.js');
+const { parseBetText } = require('./betParser.js');
+const { listBets, markReminded } = require('./bets.js');
+const { remainingStake } = require('./ledger.js');
+
+// Bets listed in one reminder message
+const MAX_LINES = 10;
+
+function betUrl(bet) {
+  return `https://discord.com/channels/${bet.guildId}/${bet.channelId}/${bet.messageId}`;
+}
+
+// When the bet message was posted (from its snowflake id)
+function placedAt(bet) {
+  try {
+    return new Date(Number((BigInt(bet.messageId) >> 22n) + 1420070400000n));
+  } catch {
+    return null;
+  }
+}
+
+// 45m / 5h / 3d 4h
+function describeAge(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+function guildBets(guildId) {
+  return listBets()
+    .filter((b) => b.guildId === guildId && !b.cancelled && !b.resolved)
+    .sort((a, b) => (placedAt(a)?.getTime() || 0) - (placedAt(b)?.getTime() || 0));
+}
+
+// Open bets, oldest first -> [{ bet, parsed, stake (what's left after partial
+// cash-outs), placedAt }]
+function openBets(guildId) {
+  return guildBets(guildId)
+    .filter((b) => !b.group || b.group.status === 'passed')
+    .map((bet) => ({ bet, parsed: parseBetText(bet.content) }))
+    .filter(({ parsed }) => parsed)
+    .map(({ bet, parsed }) => ({
+      bet,
+      parsed,
+      stake: remainingStake({ id: bet.messageId, content: bet.content }) ?? parsed.stake,
+      placedAt: placedAt(bet),
+    }));
+}
+
+// Group proposals still waiting on votes, oldest first
+function openProposals(guildId) {
+  return guildBets(guildId).filter((b) => b.group?.status === 'open');
+}
+
+// ---------- Reminders ----------
+
+function isDue(open, windowMs, now) {
+  if (!open.placedAt) return false;
+  const since = Math.max(
+    open.placedAt.getTime(),
+    open.bet.remindedAt ? new Date(open.bet.remindedAt).getTime() : 0
+  );
+  return now.getTime() - since >= windowMs;
+}
+
+function reminderText(guild, list, now) {
+  const { success, fail } = getEmojis(guild.id);
+  const lines = list.slice(0, MAX_LINES).map(
+    ({ bet, parsed, stake, placedAt: at }) =>
+      `• ${parsed.market} · $${fmtMoney(stake)} · open ${describeAge(now - at)} · ${betUrl(bet)}`
+  );
+  const more = list.length - MAX_LINES;
+  if (more > 0) lines.push(`…and ${more} more (see /open)`);
+
+  return (
+    `⏰ **${list.length === 1 ? 'A bet' : `${list.length} bets`} still open in ${guild.name}**\n` +
+    `React ${success} / ${fail} once settled, or reply \`$amount\` to cash out (\`$0\` voids):\n` +
+    lines.join('\n')
+  );
+}
+
+async function sendDm(client, userId, content) {
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send(content);
+    return true;
+  } catch {
+    return false; // DMs closed / user gone
+  }
+}
+
+async function sendPing(guild, userId, content) {
+  const target = await getOutputChannel(guild);
+  if (!target) return false;
+  await target.send({ content: `<@${userId}> ${content}`, allowedMentions: { users: [userId] } });
+  return true;
+}
+
+// Remind each bettor about their bets open past the guild's window.
+// Returns how many bets were reminded about.
+async function sendReminders(guild, now = new Date()) {
+  const { afterHours, mode, enabledAt } = getConfig(guild.id).reminders;
+  if (!afterHours) return 0;
+
+  const since = enabledAt ? new Date(enabledAt).getTime() : 0;
+  const due = openBets(guild.id).filter(
+    (o) => o.placedAt?.getTime() >= since && isDue(o, afterHours * 3600 * 1000, now)
+  );
+  const byAuthor = new Map();
+  for (const open of due) {
+    if (!open.bet.authorId) continue;
+    if (!byAuthor.has(open.bet.authorId)) byAuthor.set(open.bet.authorId, []);
+    byAuthor.get(open.bet.authorId).push(open);
+  }
+
+  let count = 0;
+  for (const [authorId, list] of byAuthor) {
+    const content = reminderText(guild, list, now);
+    try {
+      const sent =
+        (mode !== 'channel' && (await sendDm(guild.client, authorId, content))) ||
+        (await sendPing(guild, authorId, content));
+      if (!sent) continue;
+      for (const { bet } of list) markReminded(bet.messageId, now);
+      count += list.length;
+    } catch (err) {
+      console.error(`Reminder error (${guild.name}, ${authorId}):`, err);
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  betUrl,
+  placedAt,
+  describeAge,
+  openBets,
+  openProposals,
+  sendReminders,
+};
@@ -0,0 +1,99 @@
+// src/scheduler.js
+// In-process scheduler: once a minute, post each guild's weekly / monthly
+// recap when its schedule (guildConfig recaps, cron.js syntax, UTC) is due,
+// create the new sheet tab when a guild's sheet rollover period starts, and
+// remind bettors about bets left open too long (reminders.js).
+// ----------------------------------------------------
+// The last minute each recap ran is kept in the "schedule" store, so a restart
+// inside the same minute doesn't post twice. Minutes missed while the process
+// was busy (timer drift) are caught up, up to CATCH_UP_MINUTES back.
+
+const { openStore } = require('./store.js');
+const { getConfig, isArchived } = require('./guildConfig.js');
+const { parseCron, cronMatches } = require('./cron.js');
+const { postRecap } = require('./recap.js');
+const { sendReminders } = require('./reminders.js');
+const { prepareTabs } = require('./logging.js');
+const { periodRange } = require('./stats.js');
+
+const store = openStore('schedule');
+
+const TICK_MS = 60 * 1000;
+const CATCH_UP_MINUTES = 5;
+const RECAP_KINDS = ['weekly', 'monthly'];
+
+// Parsed schedules, keyed by expression
+const parsed = new Map();
+
+function cronFor(expr) {
+  if (!parsed.has(expr)) {
+    try {
+      parsed.set(expr, parseCron(expr));
+    } catch (err) {
+      console.warn(`[scheduler] ignoring bad schedule "${expr}": ${err.message}`);
+      parsed.set(expr, null);
+    }
+  }
+  return parsed.get(expr);
+}
+
+function minuteOf(date) {
+  return Math.floor(date.getTime() / 60000) * 60000;
+}
+
+async function runRecaps(guild, minute) {
+  const { recaps } = getConfig(guild.id);
+  for (const kind of RECAP_KINDS) {
+    const cron = recaps[kind] && cronFor(recaps[kind]);
+    if (!cron || !cronMatches(cron, new Date(minute))) continue;
+
+    const key = `${guild.id}:${kind}`;
+    if (store.get(key) >= minute) continue;
+    store.set(key, minute);
+
+    await postRecap(guild, kind, new Date(minute)).catch((err) =>
+      console.error(`Recap error (${guild.name}, ${kind}):`, err)
+    );
+  }
+}
+
+// Periods whose tab this process already tried to make, so the sheet is asked
+// once per period (ensureTabs is idempotent, so a restart just checks again)
+const preparedPeriods = new Set();
+
+async function runRollover(guild, minute) {
+  const { sheetRollover } = getConfig(guild.id);
+  if (!sheetRollover) return;
+
+  const key = `${guild.id}:${periodRange(sheetRollover, 0, new Date(minute)).from.toISOString()}`;
+  if (preparedPeriods.has(key)) return;
+  preparedPeriods.add(key);
+  await prepareTabs(guild.id, new Date(minute));
+}
+
+function startScheduler(client) {
+  let last = minuteOf(new Date()) - 60000;
+
+  async function tick() {
+    const now = minuteOf(new Date());
+    const from = Math.max(last + 60000, now - (CATCH_UP_MINUTES - 1) * 60000);
+    last = now;
+
+    for (const guild of client.guilds.cache.values()) {
+      if (isArchived(guild.id)) continue;
+      for (let minute = from; minute <= now; minute += 60000) {
+        await runRecaps(guild, minute);
+      }
+      await runRollover(guild, now);
+      await sendReminders(guild, new Date(now)).catch((err) =>
+        console.error(`Reminder error (${guild.name}):`, err)
+      );
+    }
+  }
+
+  return setInterval(() => {
+    tick().catch((err) => console.error('Scheduler error:', err));
+  }, TICK_MS);
+}
+
+module.exports = { startScheduler };
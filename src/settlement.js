@@ -0,0 +1,692 @@
+// src/settlement.js
+// Bet lifecycle: placement, ✅/❌ success/failure, parlay legs, $amount
+// cash-outs (full or `$5 of $10` partial), $0 voids, reversing any of those
+// when the reaction / reply is taken back, and keeping everything in sync when
+// the bet message is edited or deleted.
+// Shared by the message/reaction handlers and the /bet slash commands, so every
+// path forwards the same output message (an embed, see embeds.js), writes the
+// same sheet row and updates the member ledger. A group bet's notices go to its
+// thread (threads.js), which is closed with the outcome once the bet resolves.
+//
+// Every state change is added to the bet's audit trail (bets.js `history`,
+// /history) with the member who made it: `actor`, a Discord User (the one
+// reacting, replying or running the command). Without one it's recorded as
+// unknown; rows the change logs get the actor in Resolved By.
+
+const {
+  SUCCESS_REACTION,
+  FAIL_REACTION,
+  YELLOW_FLAG,
+  BLACK_CIRCLE,
+} = require('./config.js');
+const { getEmojis, resolvedEmojis } = require('./guildConfig.js');
+const {
+  betChannel,
+  fetchBetMessage,
+  closeBetThread,
+  reopenBetThread,
+} = require('./threads.js');
+const { fmtMoney } = require('./betText.js');
+const { parseBetText, combinedOdds, parlayReturns } = require('./betParser.js');
+const { COLORS, betEmbed, strikeForwarded, rewordForwarded } = require('./embeds.js');
+const {
+  getBet,
+  ensureBet,
+  updateBetContent,
+  markCancelled,
+  getBetAuthorId,
+  getGroupBet,
+  isResolved,
+  markResolved,
+  updateResolved,
+  clearResolved,
+  getLegResults,
+  setLegResult,
+  addPartial,
+  removePartial,
+  addOutputMessage,
+  addHistory,
+} = require('./bets.js');
+
+// Import logging helpers (spreadsheet logging)
+const {
+  logBetPlaced,
+  logCashOut,
+  logVoid,
+  logSuccess,
+  logFailure,
+  logReversal,
+  logBetEdited,
+  logBetDeleted,
+  logLegsPlaced,
+  logLegResult,
+} = require('./logging.js');
+const {
+  recordStake,
+  cancelStake,
+  recordSettlement,
+  refreshSettlement,
+  cancelSettlement,
+  betTotals,
+  remainingStake,
+  recordPartialCashOut,
+  cancelPartialCashOut,
+} = require('./ledger.js');
+const { settleSplit, reverseSplit } = require('./splits.js');
+
+// Which sheet event each resolution marker stands for. The default emojis
+// still map, so bets resolved before a guild changed its emojis reverse fine.
+const DEFAULT_EVENTS = {
+  [SUCCESS_REACTION]: 'SUCCESS',
+  [FAIL_REACTION]: 'FAILURE',
+  [YELLOW_FLAG]: 'CASH_OUT',
+  [BLACK_CIRCLE]: 'VOID',
+};
+
+function eventForEmoji(guildId, emoji) {
+  const e = getEmojis(guildId);
+  const events = {
+    [e.success]: 'SUCCESS',
+    [e.fail]: 'FAILURE',
+    [e.cashOut]: 'CASH_OUT',
+    [e.void]: 'VOID',
+  };
+  return events[emoji] || DEFAULT_EVENTS[emoji] || emoji;
+}
+
+// ---------- Audit trail ----------
+
+const STATE_LABELS = { SUCCESS: 'won', FAILURE: 'lost', CASH_OUT: 'cashed out', VOID: 'void' };
+
+// Where a bet stands, as the audit trail words it: "open", "won", "cashed out
+// $12.00", "proposal rejected", "open ($10.00 of $20.00 running)"...
+function betState(msg) {
+  const bet = getBet(msg.id);
+  if (!bet) return 'untracked';
+  if (bet.cancelled) return 'cancelled';
+  if (bet.resolved) {
+    const event = eventForEmoji(bet.guildId, bet.resolved.emoji);
+    const label = STATE_LABELS[event] || event;
+    return event === 'CASH_OUT' ? `${label} $${fmtMoney(bet.resolved.amount)}` : label;
+  }
+  const state = bet.group ? `proposal ${bet.group.status || 'open'}` : 'open';
+  const parsed = parseBetText(msg.content || '');
+  const running = parsed && bet.partials?.length ? remainingStake(msg) : null;
+  if (running == null) return state;
+  return `${state} ($${fmtMoney(running)} of $${fmtMoney(parsed.stake)} running)`;
+}
+
+// Add a change to the bet's audit trail: `from` is betState before it, the
+// state now is worked out here
+function audit(msg, actor, action, from, note) {
+  addHistory(msg.id, { actorId: actor?.id ?? null, action, from, to: betState(msg), note });
+}
+
+// The real bettor: for bets the bot posted via /bet place this is the user who ran it
+async function getBetAuthor(msg) {
+  const id = getBetAuthorId(msg);
+  if (!id || id === msg.author?.id) return msg.author ?? null;
+  return msg.client.users.fetch(id).catch(() => msg.author ?? null);
+}
+
+// Build your "link style" original bet block
+function buildOriginalBetLink(originalMessage, author = originalMessage.author) {
+  const authorTag = author?.tag ?? 'Unknown';
+  const content = originalMessage.content || '(no text)';
+  return `**${authorTag}**\n${content}\n<#${originalMessage.channel.id}>`;
+}
+
+async function messageAppearsResolved(msg) {
+  try {
+    await msg.fetch();
+    const resolved = resolvedEmojis(msg.guildId);
+    for (const [, reaction] of msg.reactions.cache) {
+      const emojiName = reaction.emoji?.name;
+      if (emojiName && resolved.has(emojiName)) {
+        return true;
+      }
+    }
+  } catch (_) {}
+  return false;
+}
+
+// New bet in the input channel: start tracking it, open its stake in the
+// ledger and write the BET_PLACED row (plus a Legs row per parlay leg).
+// `author` is set for /bet place.
+async function recordBetPlaced(msg, { author } = {}) {
+  const from = betState(msg);
+  ensureBet(msg, { authorId: author?.id });
+  recordStake(msg);
+  audit(msg, author || msg.author, 'placed', from);
+  await logBetPlaced({
+    message: msg,
+    channelName: msg.channel?.name || '',
+    author: author || (await getBetAuthor(msg)),
+  });
+  await logLegsPlaced({ message: msg });
+}
+
+// Passed group bets: work out each participant's share of the P&L (partial
+// cash-outs included) and post it (mentions are shown but don't ping).
+// Returns the posted message, if any.
+async function postGroupSplit(msg, entry, target) {
+  if (!entry || getGroupBet(msg.id)?.status !== 'passed') return null;
+
+  const settlement = settleSplit(msg.id, betTotals(msg.id) || entry);
+  if (!settlement) return null;
+
+  const lines = Object.entries(settlement.portions).map(
+    ([id, portion]) => `<@${id}> ${portion < 0 ? '-' : '+'}$${fmtMoney(Math.abs(portion))}`
+  );
+  const sent = await target.send({
+    content: `**Group bet split**\n${lines.join('\n')}\nRun /settleup to square up.`,
+    allowedMentions: { parse: [] },
+  });
+  addOutputMessage(msg.id, sent);
+  return sent;
+}
+
+// ✅/❌ => "Bet Succeeded" / "Bet Failed". Returns the forwarded message, or
+// null if the bet was already resolved, cashed out or voided (or there's no
+// output channel).
+async function settleBet(msg, emoji, { actor } = {}) {
+  const { success, fail } = getEmojis(msg.guildId);
+  if (emoji !== success && emoji !== fail) return null;
+
+  if (isResolved(msg.id)) return null;
+  // Nowhere to post it: leave the bet as it is, so it can be settled later
+  const target = await betChannel(msg);
+  const author = await getBetAuthor(msg);
+  if (!target || isResolved(msg.id)) return null;
+
+  const from = betState(msg);
+  // Claimed now, so a ✅/❌ racing this one stops at isResolved; undone below
+  // if the result can't be posted, so the bet can still be settled
+  markResolved(msg, emoji);
+
+  const content = msg.content ?? '';
+  const rewrittenSuccess = content.replace(' Returns ', ' Returned ');
+  const rewrittenFail = content.replace(' Returns ', ' To Return ');
+
+  let statusLine;
+  let rewritten;
+  let returnsLabel;
+
+  // Partial cash-outs leave less stake running, and parlays with pushed /
+  // voided legs pay less than the text says
+  const parsed = parseBetText(content);
+  const stake = parsed ? remainingStake(msg) : null;
+  const partial = parsed && stake < parsed.stake;
+  const returns = parsed
+    ? (parlayReturns(parsed, getLegResults(msg.id)) * stake) / parsed.stake
+    : null;
+  const adjusted = parsed && Math.abs(returns - parsed.returns) >= 0.005;
+  const leftOver = `the $${fmtMoney(stake)} left after partial cash-outs`;
+
+  if (emoji === success) {
+    rewritten = rewrittenSuccess;
+    returnsLabel = 'Returned';
+    statusLine = adjusted
+      ? `Bet Succeeded (returns $${fmtMoney(returns)} ` +
+        `${partial ? `on ${leftOver}` : 'after pushed/void legs'})`
+      : `Bet Succeeded`;
+  } else {
+    rewritten = rewrittenFail;
+    returnsLabel = 'To return';
+    statusLine = partial ? `Bet Failed (${leftOver})` : `Bet Failed`;
+  }
+
+  const files = [...msg.attachments.values()].map((a) => a.url);
+  const event = emoji === success ? 'SUCCESS' : 'FAILURE';
+
+  let sent;
+  try {
+    sent = await target.send({
+      embeds: [
+        betEmbed(msg, {
+          title: statusLine,
+          color: COLORS[event],
+          author,
+          text: rewritten,
+          stake: partial ? stake : undefined,
+          returns: adjusted ? returns : undefined,
+          returnsLabel,
+        }),
+      ],
+      files,
+    });
+  } catch (err) {
+    clearResolved(msg.id);
+    throw err;
+  }
+  audit(msg, actor, 'settled', from);
+  addOutputMessage(msg.id, sent);
+  const entry = recordSettlement(msg, event);
+  const splitSent = await postGroupSplit(msg, entry, target);
+  updateResolved(msg.id, { outputMessageIds: [sent.id, splitSent?.id].filter(Boolean) });
+  await closeBetThread(msg, emoji === success ? 'Won' : 'Lost');
+
+  // Log success/failure (cashout fields left blank)
+  if (emoji === success) {
+    await logSuccess({
+      message: sent,
+      originalMessage: msg,
+      author,
+      stake: partial ? stake : undefined,
+      returns: adjusted ? returns : undefined,
+      resolvedBy: actor,
+    });
+  }
+  if (emoji === fail) {
+    await logFailure({
+      message: sent,
+      originalMessage: msg,
+      author,
+      stake: partial ? stake : undefined,
+      resolvedBy: actor,
+    });
+  }
+  return sent;
+}
+
+// ---------- Parlay legs ----------
+
+const LEG_LABELS = { won: 'won', lost: 'lost', push: 'pushed', void: 'voided' };
+
+// Settle one leg of a parlay (result: won | lost | push | void) and post it.
+// A lost leg loses the bet; once every leg is in, the bet settles as won (or
+// void if every leg pushed). Returns the leg message, or null if the bet isn't
+// an open parlay, there's no such leg or the leg already has that result.
+async function settleLeg(msg, legNumber, result, { actor } = {}) {
+  const parsed = parseBetText(msg.content || '');
+  const leg = parsed?.legs?.[legNumber - 1];
+  if (!leg || !LEG_LABELS[result] || isResolved(msg.id)) return null;
+
+  ensureBet(msg);
+  const before = getLegResults(msg.id)[legNumber];
+  if (!setLegResult(msg.id, legNumber, result)) return null;
+  const results = getLegResults(msg.id);
+  addHistory(msg.id, {
+    actorId: actor?.id ?? null,
+    action: `leg ${legNumber} settled`,
+    from: before ? LEG_LABELS[before] : 'open',
+    to: LEG_LABELS[result],
+  });
+
+  const fmtOdds = (odds) => (odds == null ? 'evens' : odds > 0 ? `+${odds}` : `${odds}`);
+  const lines = [
+    `Leg ${legNumber} of ${parsed.legs.length} ${LEG_LABELS[result]}: ` +
+      `${leg.market} ${fmtOdds(leg.odds)}`,
+  ];
+  if (result !== 'lost') {
+    const combined = combinedOdds(parsed.legs, results);
+    lines.push(
+      `Combined odds ${fmtOdds(combined.american)}, ` +
+        `returns $${fmtMoney(parlayReturns(parsed, results))}`
+    );
+  }
+
+  const target = await betChannel(msg);
+  const sent = target ? await target.send([...lines, msg.url].join('\n')) : null;
+  if (sent) addOutputMessage(msg.id, sent);
+
+  await logLegResult({ originalMessage: msg, legNumber, result, results });
+
+  // Same visual marker as settling by hand (bot reactions are ignored by the handlers)
+  const { success, fail } = getEmojis(msg.guildId);
+  const decided = Object.values(results);
+  if (result === 'lost') {
+    await msg.react(fail).catch(() => {});
+    await settleBet(msg, fail, { actor });
+  } else if (decided.length === parsed.legs.length) {
+    if (decided.every((r) => r === 'push' || r === 'void')) {
+      await cashOutBet(msg, 0, { actor });
+    } else {
+      await msg.react(success).catch(() => {});
+      await settleBet(msg, success, { actor });
+    }
+  }
+  return sent;
+}
+
+// $amount => cash out, $0 => void. Returns the forwarded message, or null if
+// the bet already looks resolved (or there's no output channel).
+// `replyId` is the `$amount` reply, so deleting it can undo the cash-out.
+async function cashOutBet(originalMessage, cashoutAmount, { replyId, actor } = {}) {
+  // If already resolved (settled, cashed out or voided), ignore
+  if (isResolved(originalMessage.id) || (await messageAppearsResolved(originalMessage))) {
+    return null;
+  }
+  const from = betState(originalMessage);
+
+  const emojis = getEmojis(originalMessage.guildId);
+  const outputChannel = await betChannel(originalMessage);
+  if (!outputChannel) return null;
+
+  const author = await getBetAuthor(originalMessage);
+
+  // $0 => void
+  if (cashoutAmount === 0) {
+    await originalMessage.react(emojis.void).catch(() => {});
+    const sent = await outputChannel.send({
+      embeds: [betEmbed(originalMessage, { title: 'Bet Voided', color: COLORS.VOID, author })],
+    });
+    addOutputMessage(originalMessage.id, sent);
+    const entry = recordSettlement(originalMessage, 'VOID');
+    const splitSent = await postGroupSplit(originalMessage, entry, outputChannel);
+    markResolved(originalMessage, emojis.void, {
+      replyId,
+      amount: 0,
+      outputMessageIds: [sent.id, splitSent?.id].filter(Boolean),
+    });
+    audit(originalMessage, actor, 'voided', from);
+    await closeBetThread(originalMessage, 'Void');
+
+    await logVoid({ message: sent, originalMessage, author, resolvedBy: actor });
+    return sent;
+  }
+
+  // Cash out
+  await originalMessage.react(emojis.cashOut).catch(() => {});
+
+  // Only the stake still running is cashed out (less than the full stake after partials)
+  const parsed = parseBetText(originalMessage.content || '');
+  const stake = parsed ? remainingStake(originalMessage) : null;
+  const partial = parsed && stake < parsed.stake;
+  let cashoutLine = `Cashed out at $${fmtMoney(cashoutAmount)}`;
+
+  let gainLossForLog = null;
+  if (stake !== null && isFinite(stake)) {
+    const diff = cashoutAmount - stake;
+    const abs = Math.abs(diff);
+
+    if (abs >= 0.005) {
+      if (diff > 0) {
+        cashoutLine = `Cashed out for a $${fmtMoney(abs)} gain for $${fmtMoney(cashoutAmount)}`;
+      } else {
+        cashoutLine = `Cashed out at a $${fmtMoney(abs)} loss for $${fmtMoney(cashoutAmount)}`;
+      }
+    }
+    gainLossForLog = diff;
+  }
+
+  if (partial) cashoutLine += ` (the $${fmtMoney(stake)} left after partial cash-outs)`;
+
+  const sent = await outputChannel.send({
+    embeds: [
+      betEmbed(originalMessage, {
+        title: cashoutLine,
+        color: COLORS.CASH_OUT,
+        author,
+        stake: partial ? stake : undefined,
+        returns: cashoutAmount,
+        returnsLabel: 'Cashed out',
+      }),
+    ],
+  });
+  addOutputMessage(originalMessage.id, sent);
+  const entry = recordSettlement(originalMessage, 'CASH_OUT', { returned: cashoutAmount });
+  const splitSent = await postGroupSplit(originalMessage, entry, outputChannel);
+  markResolved(originalMessage, emojis.cashOut, {
+    replyId,
+    amount: cashoutAmount,
+    outputMessageIds: [sent.id, splitSent?.id].filter(Boolean),
+  });
+  audit(originalMessage, actor, 'cashed out', from);
+  await closeBetThread(originalMessage, `Cashed out $${fmtMoney(cashoutAmount)}`);
+
+  await logCashOut({
+    message: sent,
+    originalMessage,
+    author,
+    cashoutAmount,
+    gainLoss: gainLossForLog,
+    stake: partial ? stake : undefined,
+    resolvedBy: actor,
+  });
+  return sent;
+}
+
+// `$5 of $10` => took $5 of a $10 cash-out offer: that share of the stake still
+// running is closed at $5, the rest stays open for ✅/❌ or another cash-out.
+// Taking the whole offer is a normal cash-out. Returns the forwarded message,
+// or null if the bet is already resolved (or there's no output channel).
+// `replyId` is the reply, so deleting it undoes this cash-out only.
+async function cashOutPartial(originalMessage, amount, offer, { replyId, actor } = {}) {
+  if (amount >= offer) return cashOutBet(originalMessage, amount, { replyId, actor });
+  if (isResolved(originalMessage.id) || (await messageAppearsResolved(originalMessage))) {
+    return null;
+  }
+
+  const running = remainingStake(originalMessage);
+  if (!running) return null;
+  const outputChannel = await betChannel(originalMessage);
+  if (!outputChannel) return null;
+
+  const stake = Math.round(((running * amount) / offer) * 100) / 100;
+  const diff = amount - stake;
+  const result =
+    Math.abs(diff) < 0.005
+      ? 'at break-even'
+      : `for a $${fmtMoney(Math.abs(diff))} ${diff > 0 ? 'gain' : 'loss'}`;
+
+  const from = betState(originalMessage);
+  const author = await getBetAuthor(originalMessage);
+  const sent = await outputChannel.send({
+    embeds: [
+      betEmbed(originalMessage, {
+        title: `Partially cashed out ${result}: $${fmtMoney(amount)} of $${fmtMoney(offer)}`,
+        note:
+          `$${fmtMoney(stake)} of the stake closed, ` +
+          `$${fmtMoney(running - stake)} still running`,
+        color: COLORS.PARTIAL_CASH_OUT,
+        author,
+        stake,
+        returns: amount,
+        returnsLabel: 'Cashed out',
+      }),
+    ],
+  });
+  addOutputMessage(originalMessage.id, sent);
+
+  const key = replyId || String(Date.now());
+  recordPartialCashOut(originalMessage, { key, stake, amount });
+  addPartial(originalMessage, {
+    key,
+    replyId,
+    at: new Date().toISOString(),
+    amount,
+    offer,
+    stake,
+    outputMessageIds: [sent.id],
+  });
+  const offerNote = `$${fmtMoney(amount)} of $${fmtMoney(offer)}`;
+  audit(originalMessage, actor, 'partly cashed out', from, offerNote);
+
+  await logCashOut({
+    message: sent,
+    originalMessage,
+    author,
+    cashoutAmount: amount,
+    gainLoss: diff,
+    stake,
+    partial: true,
+    resolvedBy: actor,
+  });
+  return sent;
+}
+
+// Undo whatever resolved a bet: strike through the forwarded messages, reopen
+// the stake in the ledger, unwind any group split and append a REVERSAL row.
+// The bet can then be settled again normally. Returns the notice sent, or null
+// if the bet wasn't resolved.
+async function reverseSettlement(msg, reason, { actor } = {}) {
+  const from = betState(msg);
+  const prev = clearResolved(msg.id);
+  if (!prev) return null;
+  audit(msg, actor, 'reversed', from, reason);
+
+  const event = eventForEmoji(msg.guildId, prev.emoji);
+  const entry = cancelSettlement(msg.id);
+  reverseSplit(msg.id);
+
+  for (const id of prev.outputMessageIds || []) {
+    const out = await fetchBetMessage(msg.guild, msg.id, id);
+    if (!out) continue;
+    await strikeForwarded(out, '**Reversed**').catch(() => {});
+  }
+
+  // Take our own 🟡/⚫ marker off (the remove event this fires is a no-op now)
+  if (event === 'CASH_OUT' || event === 'VOID') {
+    const marker = msg.reactions.cache.find((r) => r.emoji.name === prev.emoji);
+    await marker?.users.remove(msg.client.user.id).catch(() => {});
+  }
+
+  await reopenBetThread(msg);
+  const author = await getBetAuthor(msg);
+  const target = await betChannel(msg);
+  const sent = target
+    ? await target.send(`Settlement reversed (${reason})\n${buildOriginalBetLink(msg, author)}`)
+    : null;
+  if (sent) addOutputMessage(msg.id, sent);
+
+  // Mirror the original row: only cash-outs / voids carry cashout + gain/loss
+  const carriesAmounts = event === 'CASH_OUT' || event === 'VOID';
+  await logReversal({
+    message: sent,
+    originalMessage: msg,
+    author,
+    reversedEvent: event,
+    cashout: carriesAmounts ? prev.amount ?? null : null,
+    gainLoss: carriesAmounts ? entry?.pnl ?? null : null,
+    resolvedBy: actor,
+  });
+  return sent;
+}
+
+// Undo one partial cash-out (its reply was deleted): its share of the stake is
+// open again. If the rest has since settled, that settlement is recomputed on
+// the larger stake. Returns the notice sent, or null.
+async function reversePartialCashOut(msg, key, reason, { actor } = {}) {
+  const from = betState(msg);
+  const partial = removePartial(msg.id, key);
+  if (!partial) return null;
+
+  const entry = cancelPartialCashOut(msg.id, key);
+  const settled = refreshSettlement(msg);
+  const settlement = getBet(msg.id)?.group?.settlement;
+  if (settled && settlement && !settlement.settledUp) settleSplit(msg.id, betTotals(msg.id));
+  audit(msg, actor, 'partial cash-out reversed', from, reason);
+
+  for (const id of partial.outputMessageIds || []) {
+    const out = await fetchBetMessage(msg.guild, msg.id, id);
+    if (!out) continue;
+    await strikeForwarded(out, '**Reversed**').catch(() => {});
+  }
+
+  const author = await getBetAuthor(msg);
+  const target = await betChannel(msg);
+  const sent = target
+    ? await target.send(
+        `Partial cash-out reversed (${reason}), $${fmtMoney(partial.stake)} of the stake ` +
+          `is open again\n${buildOriginalBetLink(msg, author)}`
+      )
+    : null;
+  if (sent) addOutputMessage(msg.id, sent);
+
+  await logReversal({
+    message: sent,
+    originalMessage: msg,
+    author,
+    reversedEvent: 'PARTIAL_CASH_OUT',
+    cashout: partial.amount,
+    gainLoss: entry?.pnl ?? null,
+    stake: partial.stake,
+    resolvedBy: actor,
+  });
+  return sent;
+}
+
+// Fetch everything we forwarded for a bet (skipping anything since deleted),
+// from its thread or the output channel
+async function fetchOutputMessages(guild, bet) {
+  const found = await Promise.all(
+    (bet.outputMessageIds || []).map((id) => fetchBetMessage(guild, bet.messageId, id))
+  );
+  return found.filter(Boolean);
+}
+
+// Bet text edited (stake/odds fixed etc.): swap the new text into everything we
+// forwarded, recompute the ledger (and an unpaid group split) and log an EDIT
+// row with the before/after values. `previousContent` is the old text if the
+// record doesn't have it yet. Only the poster can edit a message, so they're
+// the actor.
+async function applyBetEdit(msg, previousContent = '') {
+  const before = updateBetContent(msg) || previousContent;
+  const after = msg.content ?? '';
+  if (before === after) return;
+  const editor = msg.author?.id ?? null;
+  addHistory(msg.id, { actorId: editor, action: 'edited', from: before, to: after });
+
+  recordStake(msg);
+  const entry = refreshSettlement(msg);
+  const settlement = getBet(msg.id)?.group?.settlement;
+  if (entry && settlement && !settlement.settledUp) settleSplit(msg.id, betTotals(msg.id));
+
+  if (before) {
+    // Forwards quote the text as-is, or reworded the way settleBet does it
+    const wordings = [
+      (t) => t,
+      (t) => t.replace(' Returns ', ' Returned '),
+      (t) => t.replace(' Returns ', ' To Return '),
+    ];
+    for (const out of await fetchOutputMessages(msg.guild, getBet(msg.id))) {
+      for (const reword of wordings) {
+        if (await rewordForwarded(out, before, after, reword).catch(() => true)) break;
+      }
+    }
+  }
+
+  await logBetEdited({ message: msg, author: await getBetAuthor(msg), previousContent: before });
+}
+
+// Bet message deleted: cancel it everywhere. The record is flagged (not
+// removed), its stake and any settlement leave the ledger, a group split is
+// unwound, forwarded messages are struck through and the sheet gets CANCELLED.
+async function cancelBet(guild, messageId) {
+  const bet = getBet(messageId);
+  const from = bet && betState({ id: messageId, content: bet.content });
+  if (!markCancelled(messageId, 'deleted')) return;
+  // Discord doesn't say who deleted it
+  addHistory(messageId, { action: 'cancelled', from, to: 'cancelled', note: 'message deleted' });
+
+  cancelStake(messageId);
+  if (bet.resolved) {
+    cancelSettlement(messageId);
+    reverseSplit(messageId);
+  }
+
+  for (const out of await fetchOutputMessages(guild, bet)) {
+    await strikeForwarded(out, '**Cancelled** (bet deleted)').catch(() => {});
+  }
+  await closeBetThread({ guild, id: messageId, content: bet.content }, 'Cancelled');
+
+  await logBetDeleted({ guildId: guild.id, messageId });
+}
+
+module.exports = {
+  eventForEmoji,
+  betState,
+  getBetAuthor,
+  recordBetPlaced,
+  buildOriginalBetLink,
+  messageAppearsResolved,
+  settleBet,
+  settleLeg,
+  cashOutBet,
+  cashOutPartial,
+  reverseSettlement,
+  reversePartialCashOut,
+  applyBetEdit,
+  cancelBet,
+};
@@ -0,0 +1,193 @@
+// src/splits.js
+// Group bet stake splitting + member-to-member settle-up.
+// ----------------------------------------------------
+// The proposer fronts the whole stake and collects whatever comes back, so
+// every other participant's share of the P&L is owed between them and the
+// proposer. Shares live on the bet record (bets.js) under `group`:
+//
+//   split:      { shares: { [userId]: fraction }, custom: boolean }
+//   settlement: { stake, returned, pnl, portions: { [userId]: pnl share },
+//                 at: ISO string, settledUp: boolean }
+//   reversals:  [{ portions, at, settledUp }]  // negated portions of settlements
+//                                              // reversed after they were paid
+//
+// Default split is equal among the For voters (proposer + 👍). /split can set
+// custom weights; /settleup nets every outstanding settlement into transfers.
+
+const { getBet, listBets, saveBet, addHistory } = require('./bets.js');
+
+function to2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// Normalise { userId: weight } to fractions that sum to 1
+function normalise(weights) {
+  const entries = Object.entries(weights).filter(([, w]) => Number(w) > 0);
+  const total = entries.reduce((sum, [, w]) => sum + Number(w), 0);
+  if (!total) return {};
+  return Object.fromEntries(entries.map(([id, w]) => [id, Number(w) / total]));
+}
+
+function getSplit(betId) {
+  return getBet(betId)?.group?.split || null;
+}
+
+// Equal split among the current For voters. Leaves custom splits alone.
+function setEqualSplit(betId) {
+  const bet = getBet(betId);
+  if (!bet?.group || bet.group.split?.custom) return getSplit(betId);
+
+  const forIds = [bet.group.proposerId, ...bet.group.upvoters].filter(Boolean);
+  bet.group.split = {
+    shares: normalise(Object.fromEntries(forIds.map((id) => [id, 1]))),
+    custom: false,
+  };
+  saveBet(bet);
+  return bet.group.split;
+}
+
+function setCustomSplit(betId, weights) {
+  const bet = getBet(betId);
+  if (!bet?.group) return null;
+  bet.group.split = { shares: normalise(weights), custom: true };
+  saveBet(bet);
+  return bet.group.split;
+}
+
+// Record each participant's portion of a settled group bet's P&L.
+// `entry` is the ledger settle entry ({ stake, returned, pnl }). Only passed
+// proposals are split: a rejected / expired one was never placed as a group.
+function settleSplit(betId, entry) {
+  const bet = getBet(betId);
+  if (bet?.group?.status !== 'passed' || !entry) return null;
+
+  const split = getSplit(betId) || setEqualSplit(betId);
+  const ids = Object.keys(split.shares);
+  if (!ids.length) return null;
+
+  const portions = {};
+  let assigned = 0;
+  for (const id of ids) {
+    if (id === bet.group.proposerId) continue;
+    portions[id] = to2(entry.pnl * split.shares[id]);
+    assigned += portions[id];
+  }
+  // Proposer absorbs the rounding so portions always sum to the full P&L
+  portions[bet.group.proposerId] = to2(entry.pnl - assigned);
+
+  bet.group.settlement = {
+    stake: entry.stake,
+    returned: entry.returned,
+    pnl: entry.pnl,
+    portions,
+    at: new Date().toISOString(),
+    settledUp: false,
+  };
+  saveBet(bet);
+  return bet.group.settlement;
+}
+
+// Settlement undone (bet reversed). If it was already squared up, keep a
+// negated copy so the next /settleup pays it back.
+function reverseSplit(betId) {
+  const bet = getBet(betId);
+  const settlement = bet?.group?.settlement;
+  if (!settlement) return;
+
+  if (settlement.settledUp) {
+    const portions = Object.fromEntries(
+      Object.entries(settlement.portions).map(([id, p]) => [id, -p])
+    );
+    bet.group.reversals = [
+      ...(bet.group.reversals || []),
+      { portions, at: new Date().toISOString(), settledUp: false },
+    ];
+  }
+  delete bet.group.settlement;
+  saveBet(bet);
+}
+
+// Unpaid settlements/reversals of a group bet
+function unpaid(bet) {
+  const g = bet.group;
+  if (!g) return [];
+  return [g.settlement, ...(g.reversals || [])].filter((s) => s && !s.settledUp);
+}
+
+// Group bets in a guild that were settled but not yet squared up
+function outstandingBets(guildId) {
+  return listBets().filter((b) => b.guildId === guildId && unpaid(b).length);
+}
+
+// userId -> net amount (positive = is owed money, negative = owes)
+function outstandingBalances(guildId) {
+  const balances = {};
+  for (const bet of outstandingBets(guildId)) {
+    const { proposerId } = bet.group;
+    for (const { portions } of unpaid(bet)) {
+      for (const [id, portion] of Object.entries(portions)) {
+        if (id === proposerId) continue;
+        // Proposer holds the money: they owe each participant their P&L share
+        balances[id] = to2((balances[id] || 0) + portion);
+        balances[proposerId] = to2((balances[proposerId] || 0) - portion);
+      }
+    }
+  }
+  return balances;
+}
+
+// Greedy largest-debtor -> largest-creditor matching; at most n-1 transfers
+function minimalTransfers(balances) {
+  const creditors = [];
+  const debtors = [];
+  for (const [id, amount] of Object.entries(balances)) {
+    if (amount >= 0.005) creditors.push({ id, amount });
+    else if (amount <= -0.005) debtors.push({ id, amount: -amount });
+  }
+
+  const transfers = [];
+  while (creditors.length && debtors.length) {
+    creditors.sort((a, b) => b.amount - a.amount);
+    debtors.sort((a, b) => b.amount - a.amount);
+    const c = creditors[0];
+    const d = debtors[0];
+    const amount = to2(Math.min(c.amount, d.amount));
+
+    transfers.push({ from: d.id, to: c.id, amount });
+    c.amount = to2(c.amount - amount);
+    d.amount = to2(d.amount - amount);
+    if (c.amount < 0.005) creditors.shift();
+    if (d.amount < 0.005) debtors.shift();
+  }
+  return transfers;
+}
+
+// Mark every outstanding settlement paid; each bet's audit trail records who did it
+function markSettledUp(guildId, { actorId = null } = {}) {
+  const list = outstandingBets(guildId);
+  for (const bet of list) {
+    const owed = unpaid(bet);
+    for (const s of owed) s.settledUp = true;
+    saveBet(bet);
+    addHistory(bet.messageId, {
+      actorId,
+      action: 'settled up',
+      from: 'split unpaid',
+      to: 'split paid',
+      note: `/settleup mark_paid (${owed.length} settlement${owed.length === 1 ? '' : 's'})`,
+    });
+  }
+  return list.length;
+}
+
+module.exports = {
+  getSplit,
+  setEqualSplit,
+  setCustomSplit,
+  settleSplit,
+  reverseSplit,
+  outstandingBets,
+  outstandingBalances,
+  minimalTransfers,
+  markSettledUp,
+};
@@ -0,0 +1,192 @@
+// src/stats.js
+// Performance stats over the bot's own history: the ledger's settle / partial
+// cash-out entries, joined with each bet's parsed text for odds and market.
+// ----------------------------------------------------
+// Outcomes: SUCCESS is a win and FAILURE a loss; a cash-out counts as a win or
+// a loss by its P&L (break-even counts as neither); voids are left out
+// entirely. Partial cash-outs add to staked / P&L but the bet only counts once,
+// when the rest of it settles.
+//
+// "Units" are P&L in multiples of the member's average stake, so small and
+// big stakers compare fairly.
+
+const { listEntries, listMembers, memberKey } = require('./ledger.js');
+const { getBet } = require('./bets.js');
+const { parseBetText, decimalToAmerican } = require('./betParser.js');
+
+// Rate-based leaderboards ignore members with fewer settled bets than this
+const LEADERBOARD_MIN_BETS = 3;
+
+const PROPS_RE = /\b(?:pts|points|reb|ast|yds|yards|td|anytime|goals?|shots?|props?)\b/i;
+
+// Market keyword -> test on the parsed bet. A bet can land in several
+// (e.g. "Live Nuggets ML" is both Live and Moneyline); no match is "Other".
+const MARKET_KEYWORDS = [
+  ['Parlay', (bet) => !!bet.legs],
+  ['Moneyline', (bet) => /\b(?:ml|moneyline)\b/i.test(bet.market)],
+  ['Spread', (bet) => /\bspread\b|(?:^|\s)[+-]\d+(?:\.5)?(?:\s|$)/i.test(bet.market)],
+  ['Totals', (bet) => /\b(?:over|under|o\/u|total)\b|(?:^|\s)[ou]\d/i.test(bet.market)],
+  ['Props', (bet) => PROPS_RE.test(bet.market)],
+  ['Live', (bet) => /\blive\b/i.test(bet.market)],
+];
+
+const PERIODS = ['week', 'month', 'year', 'all'];
+
+function to2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// ---------- Periods ----------
+
+// Calendar period (UTC) containing `now`, `offset` periods back:
+// periodRange('week', 0) = this week so far (weeks start Monday),
+// periodRange('month', 1) = all of last month. -> { from, to, label }
+function periodRange(period, offset = 0, now = new Date()) {
+  if (period === 'all' || !PERIODS.includes(period)) {
+    return { from: null, to: null, label: 'All time' };
+  }
+
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  let from;
+  let to;
+  if (period === 'week') {
+    const monday = new Date(Date.UTC(y, m, now.getUTCDate() - ((now.getUTCDay() + 6) % 7)));
+    from = new Date(monday.getTime() - offset * 7 * 86400000);
+    to = new Date(from.getTime() + 7 * 86400000 - 1);
+  } else if (period === 'month') {
+    from = new Date(Date.UTC(y, m - offset, 1));
+    to = new Date(Date.UTC(y, m - offset + 1, 1) - 1);
+  } else {
+    from = new Date(Date.UTC(y - offset, 0, 1));
+    to = new Date(Date.UTC(y - offset + 1, 0, 1) - 1);
+  }
+
+  const labels = {
+    week: () => `Week of ${from.toISOString().slice(0, 10)}`,
+    month: () => from.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    year: () => String(from.getUTCFullYear()),
+  };
+  return { from, to, label: labels[period]() };
+}
+
+// ---------- Stats ----------
+
+// One settled bet per settle entry, with its parsed text (odds / market)
+function settledBets(guildId, { member, from, to } = {}) {
+  const entries = listEntries(guildId, { member, from, to });
+  return {
+    settles: entries
+      .filter((e) => e.type === 'settle' && e.outcome !== 'VOID')
+      .map((e) => ({ ...e, bet: parseBetText(getBet(e.betId)?.content || '') })),
+    partials: entries.filter((e) => e.type === 'partial'),
+  };
+}
+
+function resultOf(entry) {
+  if (entry.outcome === 'SUCCESS') return 'W';
+  if (entry.outcome === 'FAILURE') return 'L';
+  if (entry.pnl > 0) return 'W';
+  if (entry.pnl < 0) return 'L';
+  return null;
+}
+
+// Longest W / L runs and the current one ({ result, count })
+function streaks(results) {
+  const best = { W: 0, L: 0 };
+  let current = { result: null, count: 0 };
+  for (const r of results) {
+    if (!r) continue;
+    current = { result: r, count: r === current.result ? current.count + 1 : 1 };
+    best[r] = Math.max(best[r], current.count);
+  }
+  return { longestWin: best.W, longestLoss: best.L, current };
+}
+
+function summarise(settles, partials) {
+  const results = settles.map(resultOf);
+  const won = results.filter((r) => r === 'W').length;
+  const lost = results.filter((r) => r === 'L').length;
+
+  const staked = [...settles, ...partials].reduce((sum, e) => sum + e.stake, 0);
+  const returned = [...settles, ...partials].reduce((sum, e) => sum + e.returned, 0);
+  const pnl = returned - staked;
+
+  // Bets' full stakes (not what's left after partials) for the unit size
+  const stakes = settles.map((e) => e.bet?.stake ?? e.stake);
+  const unit = stakes.length ? stakes.reduce((a, b) => a + b, 0) / stakes.length : 0;
+
+  const odds = settles.map((e) => e.bet?.decimalOdds).filter(Boolean);
+  const avgDecimal = odds.length ? odds.reduce((a, b) => a + b, 0) / odds.length : null;
+
+  return {
+    bets: settles.length,
+    won,
+    lost,
+    winRate: won + lost ? won / (won + lost) : null,
+    staked: to2(staked),
+    returned: to2(returned),
+    pnl: to2(pnl),
+    roi: staked > 0 ? pnl / staked : null,
+    units: unit > 0 ? Math.round((pnl / unit) * 10) / 10 : 0,
+    avgOdds: avgDecimal ? decimalToAmerican(avgDecimal) : null,
+    ...streaks(results),
+  };
+}
+
+// Stats for one member (initials or bettor name) or, without `member`, the
+// whole server. `from` / `to` (Date) limit it to bets settled in that window.
+// -> summary + { member, memberName, markets: [{ keyword, ...summary }] }
+function computeStats(guildId, { member, from, to } = {}) {
+  const { settles, partials } = settledBets(guildId, { member, from, to });
+  const stats = {
+    member: member ? memberKey(member) : null,
+    memberName: member ? settles[0]?.memberName || memberKey(member) : 'Everyone',
+    ...summarise(settles, partials),
+  };
+
+  const byKeyword = new Map();
+  for (const e of settles) {
+    const matched = MARKET_KEYWORDS.filter(([, test]) => e.bet && test(e.bet)).map(([k]) => k);
+    for (const keyword of matched.length ? matched : ['Other']) {
+      if (!byKeyword.has(keyword)) byKeyword.set(keyword, []);
+      byKeyword.get(keyword).push(e);
+    }
+  }
+  stats.markets = [...byKeyword.entries()]
+    .map(([keyword, list]) => ({ keyword, ...summarise(list, []) }))
+    .sort((a, b) => b.bets - a.bets);
+
+  return stats;
+}
+
+// ---------- Leaderboards ----------
+
+// metric -> how to rank (higher is better) and whether it needs a sample
+const METRICS = {
+  pnl: { label: 'P&L', value: (s) => s.pnl },
+  roi: { label: 'ROI', value: (s) => s.roi, rate: true },
+  winrate: { label: 'Win rate', value: (s) => s.winRate, rate: true },
+  units: { label: 'Units', value: (s) => s.units },
+  streak: { label: 'Longest win streak', value: (s) => s.longestWin },
+};
+
+// Members ranked by `metric` over the window -> [{ rank, ...stats }]
+function leaderboard(guildId, metric = 'pnl', { from, to } = {}) {
+  const { value, rate } = METRICS[metric] || METRICS.pnl;
+  return listMembers(guildId)
+    .map((member) => computeStats(guildId, { member, from, to }))
+    .filter((s) => s.bets > 0 && (!rate || s.bets >= LEADERBOARD_MIN_BETS))
+    .filter((s) => value(s) != null)
+    .sort((a, b) => value(b) - value(a))
+    .map((s, i) => ({ rank: i + 1, ...s }));
+}
+
+module.exports = {
+  LEADERBOARD_MIN_BETS,
+  METRICS,
+  PERIODS,
+  periodRange,
+  computeStats,
+  leaderboard,
+};
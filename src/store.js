@@ -0,0 +1,102 @@
+// src/store.js
+// Tiny JSON-file key/value store so bot state survives Railway redeploys.
+// ----------------------------------------------------
+// Env vars:
+//   DATA_DIR (default "./data") — point this at a Railway volume mount
+//
+// Usage:
+//   const store = openStore('bets');   // -> $DATA_DIR/bets.json
+//   store.get(key) / store.set(key, value) / store.delete(key) / store.entries()
+//
+// Values must be JSON-serializable (convert Sets to arrays before storing).
+// Writes are debounced and atomic (tmp file + rename) so a crash mid-write
+// never leaves a half-written file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const WRITE_DELAY_MS = 250;
+
+// One instance per file name, so every module shares the same in-memory copy
+const stores = new Map();
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`[store] could not read ${file}:`, err?.message || err);
+    }
+    return {};
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function openStore(name) {
+  if (stores.has(name)) return stores.get(name);
+
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const data = readJson(file);
+  let timer = null;
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      writeJson(file, data);
+    } catch (err) {
+      console.warn(`[store] could not write ${file}:`, err?.message || err);
+    }
+  }
+
+  function scheduleWrite() {
+    if (timer) return;
+    timer = setTimeout(flush, WRITE_DELAY_MS);
+  }
+
+  const store = {
+    has: (key) => Object.prototype.hasOwnProperty.call(data, key),
+    get: (key) => data[key],
+    set(key, value) {
+      data[key] = value;
+      scheduleWrite();
+      return value;
+    },
+    delete(key) {
+      delete data[key];
+      scheduleWrite();
+    },
+    keys: () => Object.keys(data),
+    values: () => Object.values(data),
+    entries: () => Object.entries(data),
+    flush,
+  };
+
+  stores.set(name, store);
+  return store;
+}
+
+// Make sure pending writes hit disk when Railway stops the container
+function flushAll() {
+  for (const store of stores.values()) store.flush();
+}
+
+process.once('SIGTERM', () => {
+  flushAll();
+  process.exit(0);
+});
+process.once('SIGINT', () => {
+  flushAll();
+  process.exit(0);
+});
+
+module.exports = { openStore, flushAll };
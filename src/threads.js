@@ -0,0 +1,94 @@
+// src/threads.js
+// Per-bet discussion threads. A group bet proposal's forward in the output
+// channel opens a thread (voting.js), and everything posted about that bet
+// afterwards goes there instead of the channel: vote notices, pass / reject
+// announcements, cash-outs, settlements, splits and reversals. Once the bet
+// resolves the thread is renamed with the outcome ("Won — Celtics ML") and
+// archived; a reversal renames it back and reopens it.
+//
+// Bets without a thread (individual bets, proposals forwarded before threads,
+// a thread someone deleted) keep posting to the output channel.
+//
+// `msg` is the bet message; only its guild, id and content are used.
+
+const { ThreadAutoArchiveDuration } = require('discord.js');
+const { getOutputChannel } = require('./channels.js');
+const { parseBetText } = require('./betParser.js');
+const { getBet, setThreadId } = require('./bets.js');
+
+// Discord's limit on channel / thread names
+const NAME_LIMIT = 100;
+
+// "GB Celtics ML" (the market, falling back to the text)
+function threadName(content) {
+  const parsed = parseBetText(content || '');
+  const name = parsed ? `${parsed.initials} ${parsed.market}` : content || 'Group bet';
+  return name.replace(/\s+/g, ' ').trim().slice(0, NAME_LIMIT) || 'Group bet';
+}
+
+async function fetchThread(guild, messageId) {
+  const threadId = getBet(messageId)?.threadId;
+  if (!threadId) return null;
+  return guild.channels.fetch(threadId).catch(() => null);
+}
+
+// Open the thread on a proposal's forward (`forwarded`, in the output channel)
+async function openBetThread(msg, forwarded) {
+  try {
+    const thread = await forwarded.startThread({
+      name: threadName(msg.content),
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+    });
+    setThreadId(msg.id, thread.id);
+    return thread;
+  } catch (err) {
+    console.error('Bet thread create error:', err);
+    return null;
+  }
+}
+
+// Where to post about a bet: its thread (unarchived if need be), else the output channel
+async function betChannel(msg) {
+  const thread = await fetchThread(msg.guild, msg.id);
+  if (!thread) return getOutputChannel(msg.guild);
+  if (thread.archived) await thread.setArchived(false).catch(() => {});
+  return thread;
+}
+
+// A message we posted about a bet (`id`), wherever it went
+async function fetchBetMessage(guild, messageId, id) {
+  for (const channel of [await fetchThread(guild, messageId), await getOutputChannel(guild)]) {
+    const found = await channel?.messages.fetch(id).catch(() => null);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Bet resolved: put the outcome in the thread's name and archive it
+async function closeBetThread(msg, outcome) {
+  const thread = await fetchThread(msg.guild, msg.id);
+  if (!thread) return;
+  // An archived thread can't be renamed
+  if (thread.archived) await thread.setArchived(false).catch(() => {});
+  const name = `${outcome} — ${threadName(msg.content)}`.slice(0, NAME_LIMIT);
+  await thread.edit({ name, archived: true }).catch((err) =>
+    console.error('Bet thread close error:', err)
+  );
+}
+
+// Resolution undone: back to the plain name, open again
+async function reopenBetThread(msg) {
+  const thread = await fetchThread(msg.guild, msg.id);
+  if (!thread) return;
+  await thread.edit({ name: threadName(msg.content), archived: false }).catch((err) =>
+    console.error('Bet thread reopen error:', err)
+  );
+}
+
+module.exports = {
+  openBetThread,
+  betChannel,
+  fetchBetMessage,
+  closeBetThread,
+  reopenBetThread,
+};
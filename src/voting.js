@@ -0,0 +1,466 @@
+// src/voting.js
+// Group bet proposals + 👍/👎 voting (the guild's configured vote emojis). Used by the message/reaction handlers,
+// the startup rescan and /bet place, so they all share one tally.
+// Pass/reject thresholds, quorum and deadlines come from the guild's voting
+// policy (policy.js).
+//
+// Votes can be retracted (reaction removed) or switched (👍 -> 👎 and back).
+// The forwarded proposal and the passed/rejected announcement are edited in
+// place to show the current For/Against lists, and a decided proposal that no
+// longer meets its threshold gets a "reopened" / "now rejected" notice.
+// Proposals still undecided at the voting deadline (48h by default) auto-fail,
+// or close as "Expired" / auto-pass, per policy. Either way the deadline is
+// final: the proposal takes no more votes or retractions (votingClosed).
+//
+// Forwards are embeds (embeds.js). The proposal carries Vote For / Against
+// buttons that go through the same handleVote / handleVoteRemoved as the
+// reactions, so members can vote from either channel. Button votes have no
+// reaction behind them; `buttonVoters` keeps the startup rescan from taking
+// them back.
+//
+// The proposal forward opens a thread for the bet (threads.js); vote notices,
+// announcements and everything after go there. An expired / auto-failed
+// proposal's thread is renamed and archived.
+//
+// Each vote and each deadline decision goes on the bet's audit trail
+// (bets.js `history`) with the proposal's status before and after.
+
+const { getOutputChannel } = require('./channels.js');
+const { openBetThread, betChannel, fetchBetMessage, closeBetThread } = require('./threads.js');
+const { getEmojis } = require('./guildConfig.js');
+const {
+  listBets,
+  getBet,
+  getGroupBet,
+  ensureGroupBet,
+  setGroupBet,
+  isResolved,
+  addOutputMessage,
+  addHistory,
+} = require('./bets.js');
+const { setEqualSplit } = require('./splits.js');
+const { getPolicy, tally, describeRemaining } = require('./policy.js');
+const { voteDenied } = require('./permissions.js');
+const { logExpired } = require('./logging.js');
+const { COLORS, betEmbed, voteButtons } = require('./embeds.js');
+
+async function idsToUsernames(client, ids) {
+  const arr = Array.from(ids);
+  const names = await Promise.all(
+    arr.map(async (id) => {
+      try {
+        const u = await client.users.fetch(id);
+        return u.username;
+      } catch {
+        return 'Unknown';
+      }
+    })
+  );
+  return names;
+}
+
+async function forAgainstLists(client, state) {
+  const proposerName = (await client.users.fetch(state.proposerId)).username;
+  const upNames = await idsToUsernames(client, state.upvoters);
+  const downNames = await idsToUsernames(client, state.downvoters);
+  return {
+    proposerName,
+    forList: [proposerName, ...upNames].join(', '),
+    againstList: downNames.length ? downNames.join(', ') : '—',
+  };
+}
+
+// Status the tally implies; a decided proposal stays decided while it still holds
+function nextStatus(prev, t) {
+  if (prev === 'passed' && t.passed) return 'passed';
+  if (prev === 'rejected' && t.failed) return 'rejected';
+  if (t.passed) return 'passed';
+  if (t.failed) return 'rejected';
+  return 'open';
+}
+
+// Expired, cancelled, or decided at the voting deadline (`closedAt`): no more votes
+function votingClosed(state) {
+  return state.status === 'expired' || state.status === 'cancelled' || !!state.closedAt;
+}
+
+// ---------- Forwarded messages ----------
+
+// The proposal forward (output channel) or an announcement (its thread)
+async function fetchForwarded(msg, id) {
+  if (!id) return null;
+  return fetchBetMessage(msg.guild, msg.id, id);
+}
+
+function voteFields(lists) {
+  const clip = (text) => (text.length > 1024 ? `${text.slice(0, 1023)}…` : text);
+  return [
+    { name: 'For', value: clip(lists.forList) },
+    { name: 'Against', value: clip(lists.againstList) },
+  ];
+}
+
+// The forwarded proposal: the bet with the For / Against lists and the vote
+// buttons (greyed out once voting is over)
+function proposalMessage(msg, state, t, lists) {
+  let note = `Requires ${describeRemaining(t)}`;
+  if (state.status === 'passed') note = '**Passed**';
+  if (state.status === 'rejected') note = '**Rejected**';
+  if (state.status === 'expired') note = '**Expired**';
+
+  const closed = votingClosed(state) || isResolved(msg.id);
+  const embed = betEmbed(msg, {
+    title: `${lists.proposerName} proposed a group bet`,
+    color: COLORS[state.status] ?? COLORS.closed,
+    note,
+    fields: voteFields(lists),
+  });
+  return { embeds: [embed], components: [voteButtons(msg.id, { disabled: closed })] };
+}
+
+function announcementMessage(msg, state, lists) {
+  let title =
+    state.announcementKind === 'passed'
+      ? `Group bet passed${state.announcementNote || ''}`
+      : `Group bet proposal from ${lists.proposerName} was rejected by ${lists.againstList}`;
+  let color = COLORS[state.announcementKind];
+
+  // The decision no longer stands: strike it through rather than deleting history
+  if (state.status !== state.announcementKind) {
+    title = `~~${title}~~ — ${state.status === 'open' ? 'reopened' : `now ${state.status}`}`;
+    color = COLORS.closed;
+  }
+
+  return { embeds: [betEmbed(msg, { title, color, fields: voteFields(lists) })] };
+}
+
+// Edit the proposal forward + latest announcement to match the current tally
+async function refreshForwarded(msg, state, t) {
+  const lists = await forAgainstLists(msg.client, state);
+
+  // content: '' turns proposals forwarded as plain text into embeds
+  const proposal = await fetchForwarded(msg, state.proposalMessageId);
+  if (proposal) {
+    await proposal.edit({ content: '', ...proposalMessage(msg, state, t, lists) }).catch(() => {});
+  }
+
+  const announcement = await fetchForwarded(msg, state.announcementId);
+  if (announcement) {
+    await announcement
+      .edit({ content: '', ...announcementMessage(msg, state, lists) })
+      .catch(() => {});
+  }
+}
+
+// ---------- Decisions ----------
+
+// Mark passed, split the stake among the For voters and announce it
+async function announcePassed(msg, state, target, note = '') {
+  state.status = 'passed';
+  state.announcementKind = 'passed';
+  state.announcementNote = note;
+
+  // Stake is shared equally among the For voters unless /split says otherwise
+  setGroupBet(msg.id, state);
+  setEqualSplit(msg.id);
+
+  const lists = await forAgainstLists(msg.client, state);
+  const sent = await target.send(announcementMessage(msg, state, lists));
+
+  state.announcementId = sent.id;
+  setGroupBet(msg.id, state);
+  return sent;
+}
+
+async function announceRejected(msg, state, target) {
+  state.status = 'rejected';
+  state.announcementKind = 'rejected';
+
+  const lists = await forAgainstLists(msg.client, state);
+  const sent = await target.send(announcementMessage(msg, state, lists));
+
+  state.announcementId = sent.id;
+  setGroupBet(msg.id, state);
+  return sent;
+}
+
+// Re-tally after any vote change, announce status transitions, post `notice`
+// otherwise, and refresh the forwarded messages. `actor` / `action` ("voted
+// for" ...) go on the audit trail.
+async function applyTallyChange(msg, state, target, notice, options = {}) {
+  const { showRemaining = false, actor, action } = options;
+  const t = await tally(msg.guild, state);
+  const prev = state.status;
+  const next = nextStatus(prev, t);
+
+  let sent;
+  if (next === prev) {
+    if (next === 'passed') setEqualSplit(msg.id); // For list changed
+    const remaining = showRemaining && next === 'open' ? ` — requires ${describeRemaining(t)}` : '';
+    sent = await target.send(`${notice}${remaining}.`);
+  } else if (next === 'passed') {
+    sent = await announcePassed(msg, state, target, prev === 'rejected' ? ' (was rejected)' : '');
+  } else if (next === 'rejected') {
+    sent = await announceRejected(msg, state, target);
+  } else {
+    state.status = 'open';
+    setGroupBet(msg.id, state);
+    sent = await target.send(
+      `**Group bet reopened** — ${notice}\nRequires ${describeRemaining(t)}\n${msg.url}`
+    );
+  }
+
+  addOutputMessage(msg.id, sent);
+  addHistory(msg.id, {
+    actorId: actor?.id ?? null,
+    action,
+    from: `proposal ${prev}`,
+    to: `proposal ${state.status}`,
+  });
+  await refreshForwarded(msg, state, t);
+}
+
+// ---------- Proposals & votes ----------
+
+// Start tracking a GB message and forward the proposal to the output channel once
+async function proposeGroupBet(msg) {
+  // Initialize tracking if needed
+  const state = ensureGroupBet(msg);
+
+  // Visually show the auto upvote (author's implicit vote)
+  try {
+    await msg.react(getEmojis(msg.guildId).upvote);
+  } catch {}
+
+  // Forward proposal to the output channel once
+  if (state.proposalForwarded) return;
+
+  const target = await getOutputChannel(msg.guild);
+  if (!target) return;
+
+  const files = [...msg.attachments.values()].map((a) => a.url);
+  const t = await tally(msg.guild, state);
+  const lists = await forAgainstLists(msg.client, state);
+
+  const sent = await target.send({ ...proposalMessage(msg, state, t, lists), files });
+
+  state.proposalForwarded = true;
+  state.proposalMessageId = sent.id;
+  state.outputChannelId = target.id;
+  setGroupBet(msg.id, state);
+  addOutputMessage(msg.id, sent);
+  const thread = await openBetThread(msg, sent);
+
+  // A policy where the proposer's vote alone is enough
+  if (t.passed) {
+    addOutputMessage(msg.id, await announcePassed(msg, state, thread || target));
+    await refreshForwarded(msg, state, t);
+  }
+}
+
+// Remember whether a member's vote came from a button (no reaction behind it)
+function setButtonVoter(state, userId, viaButton) {
+  const voters = new Set(state.buttonVoters || []);
+  if (viaButton) voters.add(userId);
+  else voters.delete(userId);
+  state.buttonVoters = [...voters];
+}
+
+// 👍/👎 added (or a vote button pressed: `viaButton`). A vote for the other
+// side switches the member's vote.
+async function handleVote(msg, user, emoji, { viaButton = false } = {}) {
+  // Votes stop mattering once the bet itself has been settled
+  if (isResolved(msg.id)) return;
+
+  const state = ensureGroupBet(msg);
+  if (votingClosed(state)) return;
+  const voterId = user.id;
+
+  // Author can't vote beyond implicit upvote
+  if (voterId === state.proposerId) return;
+
+  const { upvote, downvote } = getEmojis(msg.guildId);
+  const up = emoji === upvote;
+  const mine = up ? state.upvoters : state.downvoters;
+  const other = up ? state.downvoters : state.upvoters;
+
+  // Ignore duplicate votes (a reaction matching a button vote now backs it)
+  if (mine.has(voterId)) {
+    if (!viaButton && state.buttonVoters?.includes(voterId)) {
+      setButtonVoter(state, voterId, false);
+      setGroupBet(msg.id, state);
+    }
+    return;
+  }
+
+  const target = await betChannel(msg);
+  if (!target) return;
+
+  const switched = other.delete(voterId);
+  mine.add(voterId);
+  setButtonVoter(state, voterId, viaButton);
+  setGroupBet(msg.id, state);
+
+  if (switched) {
+    // Tidy up their old reaction; the resulting remove event is a no-op
+    const old = msg.reactions.cache.find((r) => r.emoji.name === (up ? downvote : upvote));
+    await old?.users.remove(voterId).catch(() => {});
+  }
+
+  let notice = up ? `**${user.username}** voted for it` : `**${user.username}** voted against it`;
+  if (switched) notice = `**${user.username}** switched their vote to ${up ? 'for' : 'against'} it`;
+  const side = up ? 'for' : 'against';
+
+  await applyTallyChange(msg, state, target, notice, {
+    showRemaining: up,
+    actor: user,
+    action: switched ? `switched vote to ${side}` : `voted ${side}`,
+  });
+}
+
+// 👍/👎 removed: retract the member's vote
+async function handleVoteRemoved(msg, user, emoji) {
+  if (isResolved(msg.id)) return;
+
+  const state = getGroupBet(msg.id);
+  if (!state || votingClosed(state)) return;
+
+  const up = emoji === getEmojis(msg.guildId).upvote;
+  if (!(up ? state.upvoters : state.downvoters).delete(user.id)) return;
+  setButtonVoter(state, user.id, false);
+  setGroupBet(msg.id, state);
+
+  const target = await betChannel(msg);
+  if (!target) return;
+
+  await applyTallyChange(
+    msg,
+    state,
+    target,
+    `**${user.username}** withdrew their vote ${up ? 'for' : 'against'} it`,
+    { showRemaining: true, actor: user, action: `withdrew vote ${up ? 'for' : 'against'}` }
+  );
+}
+
+// Vote For / Against button on a forwarded proposal: a vote like the matching
+// reaction; pressing the side you're already on withdraws the vote. Returns
+// the (ephemeral) reply.
+async function handleVoteButton(interaction, { up, messageId }) {
+  const bet = getBet(messageId);
+  if (!bet?.group || bet.guildId !== interaction.guildId) {
+    return 'That proposal is no longer tracked.';
+  }
+
+  const channel = await interaction.client.channels.fetch(bet.channelId).catch(() => null);
+  const msg = await channel?.messages.fetch(messageId).catch(() => null);
+  if (!msg) return 'The proposal message is gone.';
+  if (isResolved(messageId)) return 'That bet has already been settled.';
+
+  const state = getGroupBet(messageId);
+  if (votingClosed(state)) {
+    return 'Voting on that proposal has closed.';
+  }
+  const { user } = interaction;
+  if (user.id === state.proposerId) return 'You proposed it, so your vote already counts.';
+  const denied = await voteDenied(msg.guild, user);
+  if (denied) return denied;
+
+  const { upvote, downvote } = getEmojis(msg.guildId);
+  const emoji = up ? upvote : downvote;
+  if ((up ? state.upvoters : state.downvoters).has(user.id)) {
+    await handleVoteRemoved(msg, user, emoji);
+    // Their reaction goes too, if that's how they voted (its remove event is a no-op now)
+    const reaction = msg.reactions.cache.find((r) => r.emoji.name === emoji);
+    await reaction?.users.remove(user.id).catch(() => {});
+    return `Vote ${up ? 'for' : 'against'} withdrawn.`;
+  }
+
+  await handleVote(msg, user, emoji, { viaButton: true });
+  return `You voted ${up ? 'for' : 'against'} it.`;
+}
+
+// Close proposals that are still open past their guild's voting deadline:
+// expire them, or auto-pass / auto-fail per policy. Run periodically from index.js.
+async function closeExpiredProposals(client) {
+  const now = Date.now();
+
+  for (const bet of listBets()) {
+    const g = bet.group;
+    // Records from before statuses/deadlines existed have no proposedAt; leave them be
+    if (!g || (g.status && g.status !== 'open') || !g.proposedAt) continue;
+    // Guilds the bot has left: their channels can't be reached, so don't close anything
+    if (!client.guilds.cache.has(bet.guildId)) continue;
+
+    const policy = getPolicy(bet.guildId);
+    if (!policy.deadlineHours) continue;
+    if (now < new Date(g.proposedAt).getTime() + policy.deadlineHours * 3600 * 1000) continue;
+
+    try {
+      const state = getGroupBet(bet.messageId);
+      state.closedAt = new Date().toISOString();
+      const channel = await client.channels.fetch(bet.channelId).catch(() => null);
+      const msg = await channel?.messages.fetch(bet.messageId).catch(() => null);
+      if (!msg) {
+        // Proposal message is gone; stop checking it
+        state.status = 'expired';
+        setGroupBet(bet.messageId, state);
+        continue;
+      }
+
+      const target = await betChannel(msg);
+      if (!target) continue;
+
+      let sent;
+      if (policy.deadlineAction === 'pass') {
+        sent = await announcePassed(msg, state, target, ' (voting deadline)');
+      } else if (policy.deadlineAction === 'fail') {
+        state.status = 'rejected';
+        setGroupBet(msg.id, state);
+        const { proposerName } = await forAgainstLists(client, state);
+        const embed = betEmbed(msg, {
+          title: `Group bet proposal from ${proposerName} failed`,
+          color: COLORS.rejected,
+          note: 'Voting closed without enough votes',
+        });
+        sent = await target.send({ embeds: [embed] });
+        await closeBetThread(msg, 'Failed vote');
+      } else {
+        state.status = 'expired';
+        setGroupBet(msg.id, state);
+        const t = await tally(msg.guild, state);
+        const votes = `${t.forCount} for, ${t.againstCount} against`;
+        const { proposerName } = await forAgainstLists(client, state);
+        const embed = betEmbed(msg, {
+          title: `Group bet proposal from ${proposerName} expired`,
+          color: COLORS.expired,
+          note: `${votes} after ${policy.deadlineHours}h`,
+        });
+        sent = await target.send({ embeds: [embed] });
+        await closeBetThread(msg, 'Expired');
+        await logExpired({
+          originalMessage: msg,
+          author: await client.users.fetch(state.proposerId).catch(() => null),
+          notes: `Voting closed after ${policy.deadlineHours}h: ${votes}`,
+        });
+      }
+      addOutputMessage(msg.id, sent);
+      addHistory(msg.id, {
+        action: 'voting deadline',
+        from: 'proposal open',
+        to: `proposal ${state.status}`,
+      });
+      await refreshForwarded(msg, state, await tally(msg.guild, state));
+    } catch (err) {
+      console.error('Proposal deadline error:', err);
+    }
+  }
+}
+
+module.exports = {
+  idsToUsernames,
+  proposeGroupBet,
+  handleVote,
+  handleVoteRemoved,
+  handleVoteButton,
+  closeExpiredProposals,
+};